@@ -1,14 +1,131 @@
 import Database from 'better-sqlite3';
+import { existsSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { loadDatasetConfigs } from './utils/datasetConfig.js';
+import { createQueryBuilder } from './utils/queryBuilder.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const ROOT_DIR = join(__dirname, '..', '..');
+const DATA_DIR = join(ROOT_DIR, 'data', 'processed');
 
-const dbPath = join(ROOT_DIR, 'data', 'processed', 'cea-transactions.db');
-const db = new Database(dbPath, { readonly: true });
+/**
+ * Map range-filterable columns to the derived "YYYY-MM" column computed from them
+ * Both the source column and the derived column itself resolve to the derived column.
+ * @param {Object} config - Normalized dataset config
+ * @returns {Object} e.g. { transaction_date: 'period', period: 'period' }
+ */
+function periodColumnsFor(config) {
+  const periodColumns = {};
+  for (const [name, { from, transform }] of Object.entries(config.derived)) {
+    if (transform === 'period') {
+      periodColumns[from] = name;
+      periodColumns[name] = name;
+    }
+  }
+  return periodColumns;
+}
 
-console.log('Connected to SQLite database');
+/**
+ * Open a built dataset and bind its query builder
+ * @param {Object} config - Normalized dataset config
+ * @returns {Object|null} Dataset handle, or null when its database has not been built
+ */
+function openDataset(config) {
+  const dbPath = join(DATA_DIR, config.database);
+  if (!existsSync(dbPath)) {
+    console.warn(`Dataset ${config.id} has no database at ${dbPath}; run the pipeline to build it`);
+    return null;
+  }
 
-export default db;
+  const db = new Database(dbPath, { readonly: true });
+  const builder = createQueryBuilder(db, config.table, {
+    periodColumns: periodColumnsFor(config),
+    rollup: config.rollup && { table: config.rollup.table, countColumn: config.rollup.countColumn }
+  });
+
+  return {
+    id: config.id,
+    config,
+    db,
+    builder,
+
+    /**
+     * Whether the dataset's table has every named column
+     * Routes written for one dataset's shape use this to decline others cleanly.
+     * @param {Array<string>} names - Column names
+     * @returns {boolean}
+     */
+    hasColumns(names) {
+      const columns = builder.getColumns();
+      return names.every(name => columns.includes(name));
+    },
+
+    getMetadata() {
+      const metaRows = db.prepare('SELECT key, value FROM metadata').all();
+      const meta = {};
+      for (const row of metaRows) {
+        try {
+          meta[row.key] = JSON.parse(row.value);
+        } catch {
+          meta[row.key] = row.value;
+        }
+      }
+      return {
+        id: meta.id,
+        name: meta.name,
+        description: meta.description,
+        metadata: meta.metadata,
+        schema: meta.schema,
+        visualizationRecommendations: meta.visualizationRecommendations
+      };
+    },
+
+    /**
+     * Quality report written by the last pipeline run
+     * @returns {Object|null} The report, or null for databases built before validation existed
+     */
+    getQualityReport() {
+      const row = db.prepare("SELECT value FROM metadata WHERE key = 'quality'").get();
+      return row ? JSON.parse(row.value) : null;
+    },
+
+    /**
+     * Open a separate read-only connection
+     * Long-running iterators (e.g. streaming exports) keep a connection busy,
+     * so they must not share the default one with regular requests.
+     * @returns {Database} A new connection; the caller is responsible for closing it
+     */
+    openConnection() {
+      return new Database(dbPath, { readonly: true });
+    }
+  };
+}
+
+const registry = new Map();
+for (const config of loadDatasetConfigs()) {
+  const dataset = openDataset(config);
+  if (dataset) {
+    registry.set(config.id, dataset);
+  }
+}
+
+console.log(`Connected to ${registry.size} SQLite ${registry.size === 1 ? 'database' : 'databases'}`);
+
+/**
+ * Look up a dataset by id
+ * @param {string} id - Dataset id from the URL
+ * @returns {Object|null} Dataset handle ({ id, config, db, builder, hasColumns, getMetadata, getQualityReport, openConnection })
+ */
+export function getDataset(id) {
+  return registry.get(id) || null;
+}
+
+/**
+ * All datasets whose databases are available
+ * @returns {Array<Object>} Dataset handles in config order
+ */
+export function listDatasets() {
+  return [...registry.values()];
+}
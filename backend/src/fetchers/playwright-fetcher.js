@@ -1,7 +1,8 @@
 import { chromium } from 'playwright';
 import axios from 'axios';
-import { parse } from 'csv-parse/sync';
-import { readFileSync, existsSync } from 'fs';
+import { parse } from 'csv-parse';
+import { createReadStream, createWriteStream, existsSync, renameSync, statSync } from 'fs';
+import { pipeline } from 'stream/promises';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 
@@ -61,95 +62,79 @@ export async function getS3UrlFromDataGovSG(datasetId) {
 }
 
 /**
- * Download CSV data from S3 URL and parse it
+ * Download a CSV from S3 straight to disk
+ * The body is streamed to a temporary file that replaces csvPath only once complete,
+ * so large downloads never sit in memory and a failed one never leaves a truncated CSV behind.
  * @param {string} s3Url - The S3 URL to download from
- * @returns {Promise<string>} - The CSV content as a string
+ * @param {string} csvPath - Where to save the file
+ * @returns {Promise<number>} - Size of the saved file in bytes
  */
-export async function downloadCSVFromS3(s3Url) {
+export async function downloadCSVFromS3(s3Url, csvPath) {
   console.log('Downloading CSV from S3...');
   const response = await axios.get(s3Url, {
-    responseType: 'text',
+    responseType: 'stream',
     timeout: 300000, // 5 minute timeout for large files
   });
 
-  return response.data;
+  const partialPath = `${csvPath}.part`;
+  await pipeline(response.data, createWriteStream(partialPath));
+  renameSync(partialPath, csvPath);
+  return statSync(csvPath).size;
 }
 
-/**
- * Parse CSV string into array of objects
- * @param {string} csvString - The CSV content as a string
- * @returns {Array<Object>} - Array of row objects
- */
-export function parseCSV(csvString) {
-  // Handle empty input
-  if (!csvString || csvString.trim().length === 0) return [];
-
-  try {
-    // Use csv-parse with robust options to handle quoted fields and commas within values
-    const records = parse(csvString, {
-      columns: true,           // Use first row as headers
-      skip_empty_lines: true,  // Skip empty lines
-      trim: true,              // Trim whitespace from fields
-      relax_quotes: true,      // Be lenient with quotes
-      quote: '"',              // Specify quote character
-      escape: '"'              // Specify escape character
-    });
-
-    return records;
-  } catch (error) {
-    console.error('Error parsing CSV:', error.message);
-    console.error('CSV parsing failed. This may be due to malformed CSV data.');
-    // Return empty array instead of crashing the process
-    return [];
-  }
-}
+// csv-parse options for data.gov.sg exports, which quote fields containing commas
+const CSV_OPTIONS = {
+  columns: true,           // Use first row as headers
+  skip_empty_lines: true,  // Skip empty lines
+  trim: true,              // Trim whitespace from fields
+  relax_quotes: true,      // Be lenient with quotes
+  quote: '"',              // Specify quote character
+  escape: '"'              // Specify escape character
+};
 
 /**
- * Load data from local CSV file
- * @returns {Array<Object>} - Array of parsed data rows
+ * Stream rows from a local CSV file
+ * Parse errors reject the iteration rather than yielding a partial dataset.
+ * @param {string} fileName - CSV file name inside the data directory
+ * @returns {AsyncIterable<Object>} - Row objects keyed by header
  */
-export function loadLocalCSV() {
-  const csvPath = join(ROOT_DIR, 'data', 'CEASalespersonsPropertyTransactionRecordsresidential.csv');
+export function streamLocalCSV(fileName) {
+  const csvPath = join(ROOT_DIR, 'data', fileName);
 
   if (!existsSync(csvPath)) {
     throw new Error(`Local CSV file not found at ${csvPath}. Run 'npm run download' to fetch it.`);
   }
 
-  console.log(`Loading data from local CSV: ${csvPath}`);
-  const csvContent = readFileSync(csvPath, 'utf-8');
-  const data = parseCSV(csvContent);
-
-  console.log(`Successfully loaded ${data.length} records from local CSV`);
-  return data;
+  console.log(`Streaming data from local CSV: ${csvPath}`);
+  const parser = parse(CSV_OPTIONS);
+  createReadStream(csvPath)
+    .on('error', error => parser.destroy(error))
+    .pipe(parser);
+  return parser;
 }
 
 /**
- * Main function to fetch and parse data from data.gov.sg
- * Checks for local CSV first, falls back to download if not found
+ * Stream rows for a data.gov.sg dataset
+ * Uses the local CSV when present, otherwise downloads it into the data directory first
  * @param {string} datasetId - The data.gov.sg dataset ID
- * @returns {Promise<Array<Object>>} - Array of parsed data rows
+ * @param {string} fileName - CSV file name inside the data directory
+ * @returns {Promise<AsyncIterable<Object>>} - Row objects keyed by header
  */
-export async function fetchDataWithPlaywright(datasetId) {
-  const csvPath = join(ROOT_DIR, 'data', 'CEASalespersonsPropertyTransactionRecordsresidential.csv');
+export async function streamDataGovSGCSV(datasetId, fileName) {
+  const csvPath = join(ROOT_DIR, 'data', fileName);
 
-  // Try local CSV first
   if (existsSync(csvPath)) {
     console.log('Using local CSV file (skipping download)');
-    return loadLocalCSV();
-  }
+  } else {
+    console.log('Local CSV not found, downloading from data.gov.sg...');
 
-  // Fall back to download if local file doesn't exist
-  console.log('Local CSV not found, downloading from data.gov.sg...');
+    // Get the S3 URL using Playwright
+    const s3Url = await getS3UrlFromDataGovSG(datasetId);
 
-  // Get the S3 URL using Playwright
-  const s3Url = await getS3UrlFromDataGovSG(datasetId);
-
-  // Download the CSV from S3
-  const csvContent = await downloadCSVFromS3(s3Url);
-
-  // Parse the CSV
-  const data = parseCSV(csvContent);
+    // Download the CSV from S3
+    const size = await downloadCSVFromS3(s3Url, csvPath);
+    console.log(`Saved ${(size / 1024 / 1024).toFixed(2)} MB to ${csvPath}`);
+  }
 
-  console.log(`Successfully fetched and parsed ${data.length} records`);
-  return data;
+  return streamLocalCSV(fileName);
 }
@@ -1,158 +1,406 @@
-import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
+import { writeFileSync, mkdirSync, existsSync, openSync, writeSync, closeSync, renameSync, rmSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import Database from 'better-sqlite3';
-import { fetchDataWithPlaywright, getS3UrlFromDataGovSG, downloadCSVFromS3 } from './fetchers/playwright-fetcher.js';
+import { streamDataGovSGCSV, streamLocalCSV, getS3UrlFromDataGovSG, downloadCSVFromS3 } from './fetchers/playwright-fetcher.js';
 import logger from './utils/logger.js';
-import { analyzeSchema } from './utils/schemaAnalyzer.js';
+import { createSchemaAccumulator } from './utils/schemaAnalyzer.js';
+import { createValidator } from './utils/dataValidator.js';
 import { generateVisualizationRecommendations } from './utils/vizRecommender.js';
+import { loadDatasetConfigs } from './utils/datasetConfig.js';
+import {
+  BATCH_SIZE,
+  canUpdateInPlace,
+  countStagedDuplicates,
+  rebuildTable,
+  recordIngest,
+  stageRows,
+  updateTable
+} from './utils/tableSync.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const ROOT_DIR = join(__dirname, '..', '..');
 
-async function processDataset(config) {
+/**
+ * Stream a dataset's source rows
+ * @param {Object} source - Source section of the dataset config
+ * @returns {Promise<AsyncIterable<Object>>} Rows keyed by source column name
+ */
+async function loadSource(source) {
+  switch (source.type) {
+    case 'datagovsg':
+      logger.log(`Fetching data from data.gov.sg (dataset: ${source.resourceId})`);
+      return streamDataGovSGCSV(source.resourceId, source.file);
+    case 'csv':
+      logger.log(`Loading local CSV: ${source.file}`);
+      return streamLocalCSV(source.file);
+    default:
+      throw new Error(`Unsupported source type: ${source.type}`);
+  }
+}
+
+/**
+ * Rename source columns to table columns, dropping anything the config doesn't declare
+ * @param {Object} record - Row keyed by source column name
+ * @param {Object} columns - Map of table column to source column
+ * @returns {Object} Row keyed by table column name
+ */
+function mapColumns(record, columns) {
+  const row = {};
+  for (const [column, sourceColumn] of Object.entries(columns)) {
+    row[column] = record[sourceColumn];
+  }
+  return row;
+}
+
+/**
+ * Write the full-data JSON copy incrementally
+ * Rows go out as they stream past; the rest of the document follows once the schema is known.
+ * The file is built under a temporary name and only takes its place once finished.
+ * @param {string} outputPath - Destination file
+ * @returns {Object} { write(row), finish(dataset), abort() }
+ */
+function createJsonWriter(outputPath) {
+  const tempPath = `${outputPath}.tmp`;
+  const fd = openSync(tempPath, 'w');
+  let pending = [];
+  let written = 0;
+  let closed = false;
+
+  const flush = () => {
+    if (pending.length === 0) return;
+    writeSync(fd, `${written > 0 ? ',' : ''}\n    ${pending.join(',\n    ')}`);
+    written += pending.length;
+    pending = [];
+  };
+
+  writeSync(fd, '{\n  "data": [');
+
+  return {
+    write(row) {
+      pending.push(JSON.stringify(row));
+      if (pending.length >= BATCH_SIZE) flush();
+    },
+
+    finish(dataset) {
+      flush();
+      // Splice the remaining keys into the same top-level object
+      writeSync(fd, `\n  ],\n${JSON.stringify(dataset, null, 2).slice(2)}\n`);
+      closeSync(fd);
+      closed = true;
+      renameSync(tempPath, outputPath);
+    },
+
+    // Drop a partial file after a failed build, leaving any previous copy in place
+    abort() {
+      if (closed) return;
+      closeSync(fd);
+      closed = true;
+      rmSync(tempPath, { force: true });
+    }
+  };
+}
+
+/**
+ * Stream a dataset from its source into SQLite
+ * Rows are staged in batches while the schema is analyzed on the fly, so memory stays flat
+ * however large the source is.
+ * @param {Object} config - Normalized dataset config
+ * @param {Object} options
+ * @param {boolean} options.incremental - Update the existing table in place (see migrateToSQLite)
+ * @param {boolean} options.writeJson - Also write the full-data JSON copy to data/processed/<id>.json
+ * @returns {Promise<Object>} Catalog entry for the dataset
+ */
+async function processDataset(config, { incremental = false, writeJson = false } = {}) {
   const { id, name, source } = config;
 
   logger.log(`Processing dataset: ${name} (${id})`);
 
+  const outputDir = join(ROOT_DIR, 'data', 'processed');
+  if (!existsSync(outputDir)) {
+    mkdirSync(outputDir, { recursive: true });
+  }
+
+  const db = openDatabase(config);
+  let jsonWriter = null;
   try {
-    // Fetch data using Playwright
-    logger.log(`Fetching data from data.gov.sg (dataset: ${source.resourceId})`);
-    const rawData = await fetchDataWithPlaywright(source.resourceId);
+    const sourceRows = await loadSource(source);
+    const schemaAccumulator = createSchemaAccumulator();
+    const validator = createValidator(config);
+    const outputPath = join(outputDir, `${id}.json`);
+    jsonWriter = writeJson ? createJsonWriter(outputPath) : null;
+
+    async function* mappedRows() {
+      let first = true;
+      for await (const record of sourceRows) {
+        if (first) {
+          validator.checkHeaders(Object.keys(record));
+          first = false;
+        }
+        const row = mapColumns(record, config.columns);
+        schemaAccumulator.add(row);
+        validator.add(row);
+        jsonWriter?.write(row);
+        yield row;
+      }
+    }
+
+    const rowCount = await stageRows(db, mappedRows(), config);
 
-    if (!rawData || rawData.length === 0) {
+    if (rowCount === 0) {
       throw new Error('No data fetched');
     }
 
-    logger.success(`Fetched ${rawData.length} rows`);
+    logger.success(`Fetched ${rowCount} rows`);
+
+    // Validate before anything touches the live table
+    logger.log('Validating data...');
+    const quality = validator.finish({ duplicates: countStagedDuplicates(db) });
+    const qualityPath = join(outputDir, `${id}.quality.json`);
+    writeFileSync(qualityPath, JSON.stringify(quality, null, 2));
+    if (!quality.passed) {
+      quality.failures.forEach(failure => logger.error(failure));
+      throw new Error(`Data quality checks failed (${quality.failures.length}); see ${qualityPath}`);
+    }
+    logger.success(`Data quality checks passed (report: ${qualityPath})`);
 
     // Analyze schema
     logger.log('Analyzing schema...');
-    const schema = analyzeSchema(rawData);
+    const schema = schemaAccumulator.finish();
     logger.success(`Analyzed ${schema.columns.length} columns`);
 
     // Generate visualization recommendations
     logger.log('Generating visualization recommendations...');
-    const visualizationRecommendations = generateVisualizationRecommendations(schema, rawData);
+    const visualizationRecommendations = generateVisualizationRecommendations(schema);
     logger.success(`Generated ${visualizationRecommendations.length} visualization recommendations`);
 
     // Prepare output
-    const output = {
+    const dataset = {
       id,
       name,
       description: config.description || '',
       metadata: {
         lastUpdated: new Date().toISOString(),
-        rowCount: rawData.length,
+        rowCount,
         columnCount: schema.columns.length,
         resourceId: source.resourceId,
         sourceType: source.type
       },
       schema,
       visualizationRecommendations,
-      data: rawData
+      quality
     };
 
-    // Write to file
-    const outputDir = join(ROOT_DIR, 'data', 'processed');
-    if (!existsSync(outputDir)) {
-      mkdirSync(outputDir, { recursive: true });
+    if (jsonWriter) {
+      jsonWriter.finish(dataset);
+      logger.success(`Wrote ${rowCount} records to ${outputPath}`);
     }
 
-    const outputPath = join(outputDir, `${id}.json`);
-    writeFileSync(outputPath, JSON.stringify(output, null, 2));
-    logger.success(`Wrote ${rawData.length} records to ${outputPath}`);
+    migrateToSQLite(db, dataset, config, { incremental });
 
     return {
       id,
       name,
-      description: config.description || '',
-      metadata: {
-        lastUpdated: output.metadata.lastUpdated,
-        rowCount: output.metadata.rowCount,
-        columnCount: output.metadata.columnCount,
-        resourceId: output.metadata.resourceId,
-        sourceType: output.metadata.sourceType
-      }
+      description: dataset.description,
+      metadata: dataset.metadata
     };
 
   } catch (error) {
     logger.error(`Failed to process dataset ${id}:`, error.message);
+    jsonWriter?.abort();
     throw error;
+  } finally {
+    db.close();
   }
 }
 
-function migrateToSQLite(dataset) {
-  logger.log('='.repeat(60));
-  logger.log('Migrating to SQLite');
-  logger.log('='.repeat(60));
+// Pre-aggregated counts over the configured dimensions; aggregate endpoints use it when a query only touches these
+function buildMonthlyRollup(db, config) {
+  const { table: rollupTable, countColumn, indexes } = config.rollup;
+  logger.log(`Building rollup ${rollupTable}...`);
+  const dimensions = config.rollup.dimensions.join(', ');
 
-  // Create/open database
-  const dbPath = join(ROOT_DIR, 'data', 'processed', 'cea-transactions.db');
-  logger.log(`Creating database at: ${dbPath}`);
-  const db = new Database(dbPath);
+  db.exec(`
+    DROP TABLE IF EXISTS ${rollupTable};
 
-  // Enable WAL mode for better performance
-  db.pragma('journal_mode = WAL');
+    CREATE TABLE ${rollupTable} AS
+      SELECT ${dimensions}, COUNT(*) AS ${countColumn}
+      FROM ${config.table}
+      GROUP BY ${dimensions};
+  `);
+  for (const column of indexes) {
+    db.exec(`CREATE INDEX idx_${rollupTable}_${column} ON ${rollupTable}(${column})`);
+  }
+
+  const { count } = db.prepare(`SELECT COUNT(*) as count FROM ${rollupTable}`).get();
+  logger.success(`Built rollup with ${count} rows`);
+}
+
+/**
+ * One row per registration number (CEA columns only)
+ * The same agent is often spelled differently across months; the canonical name is the most used
+ * spelling, with the most recently used one winning ties.
+ */
+function buildAgentTable(db, config) {
+  logger.log('Building agents table...');
 
-  // Create table
-  logger.log('Creating table...');
   db.exec(`
-    DROP TABLE IF EXISTS transactions;
-
-    CREATE TABLE transactions (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      salesperson_name TEXT,
-      transaction_date TEXT,
-      salesperson_reg_num TEXT,
-      property_type TEXT,
-      transaction_type TEXT,
-      represented TEXT,
-      town TEXT,
-      district TEXT,
-      general_location TEXT
+    DROP TABLE IF EXISTS agents;
+
+    CREATE TABLE agents (
+      reg_num TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      name_variants TEXT NOT NULL,
+      first_period TEXT,
+      last_period TEXT,
+      transaction_count INTEGER NOT NULL
     );
 
-    CREATE INDEX idx_transaction_date ON transactions(transaction_date);
-    CREATE INDEX idx_property_type ON transactions(property_type);
-    CREATE INDEX idx_salesperson_reg_num ON transactions(salesperson_reg_num);
-    CREATE INDEX idx_town ON transactions(town);
-    CREATE INDEX idx_transaction_type ON transactions(transaction_type);
+    INSERT INTO agents (reg_num, name, name_variants, first_period, last_period, transaction_count)
+      WITH spellings AS (
+        SELECT
+          salesperson_reg_num as reg_num,
+          salesperson_name as name,
+          salesperson_name IS NOT NULL AND salesperson_name NOT IN ('-', '') as named,
+          COUNT(*) as uses,
+          MIN(period) as first_period,
+          MAX(period) as last_period
+        FROM ${config.table}
+        WHERE salesperson_reg_num IS NOT NULL AND salesperson_reg_num NOT IN ('-', '')
+        GROUP BY salesperson_reg_num, salesperson_name
+      ),
+      ranked AS (
+        SELECT
+          *,
+          ROW_NUMBER() OVER (
+            PARTITION BY reg_num
+            ORDER BY named DESC, uses DESC, last_period DESC, name
+          ) as rank
+        FROM spellings
+      )
+      -- Rows without a usable name still count towards the agent's totals
+      SELECT
+        reg_num,
+        COALESCE(MAX(CASE WHEN rank = 1 AND named THEN name END), reg_num),
+        json_group_array(name ORDER BY rank) FILTER (WHERE named),
+        MIN(first_period),
+        MAX(last_period),
+        SUM(uses)
+      FROM ranked
+      GROUP BY reg_num;
   `);
 
-  // Insert data in batches
-  logger.log('Inserting data...');
-  const insert = db.prepare(`
-    INSERT INTO transactions (
-      salesperson_name, transaction_date, salesperson_reg_num,
-      property_type, transaction_type, represented,
-      town, district, general_location
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  const { count, renamed } = db.prepare(`
+    SELECT COUNT(*) as count, SUM(json_array_length(name_variants) > 1) as renamed FROM agents
+  `).get();
+  logger.success(`Built agents table with ${count} agents (${renamed || 0} with name variants)`);
+}
+
+// Full-text index of agents, towns and districts for the search endpoint (CEA columns only)
+function buildSearchIndex(db, config) {
+  logger.log('Building search index...');
+
+  db.exec(`
+    DROP TABLE IF EXISTS search_index;
+
+    CREATE VIRTUAL TABLE search_index USING fts5(
+      label,
+      terms,
+      kind UNINDEXED,
+      value UNINDEXED,
+      detail UNINDEXED,
+      weight UNINDEXED,
+      prefix = '2 3'
+    );
+
+    INSERT INTO search_index (label, terms, kind, value, detail, weight)
+      SELECT
+        agents.name,
+        (SELECT GROUP_CONCAT(value, ' ') FROM json_each(agents.name_variants)) || ' ' || agents.reg_num,
+        'agent',
+        agents.reg_num,
+        agents.reg_num,
+        agents.transaction_count
+      FROM agents;
+
+    INSERT INTO search_index (label, terms, kind, value, detail, weight)
+      SELECT town, town, 'town', town, NULL, COUNT(*)
+      FROM ${config.table}
+      WHERE town IS NOT NULL AND town != '-'
+      GROUP BY town;
+
+    INSERT INTO search_index (label, terms, kind, value, detail, weight)
+      SELECT
+        'District ' || district,
+        'D' || district || ' ' || district || ' ' || COALESCE(GROUP_CONCAT(DISTINCT general_location), ''),
+        'district',
+        district,
+        GROUP_CONCAT(DISTINCT general_location),
+        COUNT(*)
+      FROM ${config.table}
+      WHERE district IS NOT NULL AND district != '-'
+      GROUP BY district;
   `);
 
-  const insertMany = db.transaction((records) => {
-    for (const record of records) {
-      insert.run(
-        record.salesperson_name || null,
-        record.transaction_date || null,
-        record.salesperson_reg_num || null,
-        record.property_type || null,
-        record.transaction_type || null,
-        record.represented || null,
-        record.town || null,
-        record.district || null,
-        record.general_location || null
-      );
+  const { count } = db.prepare('SELECT COUNT(*) as count FROM search_index').get();
+  logger.success(`Indexed ${count} search entries`);
+}
+
+function openDatabase(config) {
+  const dbPath = join(ROOT_DIR, 'data', 'processed', config.database);
+  logger.log(`${existsSync(dbPath) ? 'Opening' : 'Creating'} database at: ${dbPath}`);
+  const db = new Database(dbPath);
+
+  // Enable WAL mode for better performance
+  db.pragma('journal_mode = WAL');
+  // Keep the staging copy on disk rather than in memory
+  db.pragma('temp_store = FILE');
+
+  return db;
+}
+
+/**
+ * Move staged rows into the live table and refresh everything derived from it
+ * @param {Database} db - Database holding the staged rows
+ * @param {Object} dataset - Processed dataset (metadata, schema and recommendations)
+ * @param {Object} config - Normalized dataset config
+ * @param {Object} options
+ * @param {boolean} options.incremental - Diff against the existing table instead of rebuilding it;
+ *   falls back to a rebuild when there is no compatible table yet
+ */
+function migrateToSQLite(db, dataset, config, { incremental = false } = {}) {
+  logger.log('='.repeat(60));
+  logger.log(`Migrating ${config.id} to SQLite`);
+  logger.log('='.repeat(60));
+
+  const { table } = config;
+  const inPlace = incremental && canUpdateInPlace(db, config);
+  if (incremental && !inPlace) {
+    logger.warn(`No compatible ${table} table to update; rebuilding it`);
+  }
+
+  const changes = inPlace
+    ? updateTable(db, config)
+    : rebuildTable(db, config);
+  const ingest = recordIngest(db, inPlace ? 'incremental' : 'full', changes);
+  logger.success(inPlace
+    ? `${ingest.inserted} rows inserted, ${ingest.deleted} rows deleted across ${changes.length} periods`
+    : `${ingest.inserted} rows loaded across ${changes.length} periods`);
+
+  // Derived tables only need rebuilding when rows changed
+  if (!inPlace || changes.length > 0) {
+    if (config.rollup) {
+      buildMonthlyRollup(db, config);
+    }
+    if (config.agentTable) {
+      buildAgentTable(db, config);
+    }
+    if (config.searchIndex) {
+      buildSearchIndex(db, config);
     }
-  });
-
-  // Insert in batches of 10000
-  const BATCH_SIZE = 10000;
-  for (let i = 0; i < dataset.data.length; i += BATCH_SIZE) {
-    const batch = dataset.data.slice(i, i + BATCH_SIZE);
-    insertMany(batch);
-    logger.log(`Inserted ${Math.min(i + BATCH_SIZE, dataset.data.length)} / ${dataset.data.length} records`);
+  } else {
+    logger.log('No rows changed; keeping derived tables');
   }
 
   // Store metadata in a separate table
@@ -169,46 +417,46 @@ function migrateToSQLite(dataset) {
   insertMeta.run('id', dataset.id);
   insertMeta.run('name', dataset.name);
   insertMeta.run('description', dataset.description);
-  insertMeta.run('metadata', JSON.stringify(dataset.metadata));
+  insertMeta.run('metadata', JSON.stringify({ ...dataset.metadata, lastIngest: ingest }));
   insertMeta.run('schema', JSON.stringify(dataset.schema));
   insertMeta.run('visualizationRecommendations', JSON.stringify(dataset.visualizationRecommendations));
+  insertMeta.run('quality', JSON.stringify(dataset.quality));
 
   // Get final count
-  const count = db.prepare('SELECT COUNT(*) as count FROM transactions').get();
+  const count = db.prepare(`SELECT COUNT(*) as count FROM ${table}`).get();
   logger.success(`Migration complete! ${count.count} records in database`);
 
   // Show database size
   const { size } = db.prepare("SELECT page_count * page_size as size FROM pragma_page_count(), pragma_page_size()").get();
   logger.log(`Database size: ${(size / 1024 / 1024).toFixed(2)} MB`);
-
-  db.close();
 }
 
-export async function runPipeline() {
+/**
+ * Build every configured dataset
+ * @param {Object} options
+ * @param {boolean} options.incremental - Update existing databases in place rather than rebuilding them
+ * @param {boolean} options.writeJson - Also write each dataset's full-data JSON copy
+ */
+export async function runPipeline({ incremental = false, writeJson = false } = {}) {
   logger.log('='.repeat(60));
-  logger.log('CEA Property Transactions Pipeline');
+  logger.log(`CEA-VIZ Data Pipeline${incremental ? ' (incremental)' : ''}`);
   logger.log('='.repeat(60));
 
-  // Hardcoded configuration for CEA data
-  const datasetConfig = {
-    id: 'cea-property-transactions',
-    name: 'CEA Salespersons Property Transaction Records',
-    description: 'Property transaction records from Singapore Council for Estate Agencies',
-    source: {
-      type: 'datagovsg',
-      resourceId: 'd_ee7e46d3c57f7865790704632b0aef71'
-    }
-  };
+  const configs = loadDatasetConfigs();
+  logger.log(`Loaded ${configs.length} dataset ${configs.length === 1 ? 'config' : 'configs'}`);
 
-  // Process the dataset
-  const result = await processDataset(datasetConfig);
+  const results = [];
+  for (const config of configs) {
+    const result = await processDataset(config, { incremental, writeJson });
+    results.push(result);
+  }
 
   // Generate datasets catalog file
   logger.log('Generating datasets catalog...');
   const catalog = {
     version: '1.0',
     lastUpdated: new Date().toISOString(),
-    datasets: [result]
+    datasets: results
   };
 
   const catalogPath = join(ROOT_DIR, 'data', 'processed', 'datasets.json');
@@ -217,18 +465,14 @@ export async function runPipeline() {
 
   logger.log('='.repeat(60));
   logger.success(`Pipeline completed successfully`);
-  logger.log(`Processed ${result.metadata.rowCount} records`);
-
-  // Migrate to SQLite
-  const outputDir = join(ROOT_DIR, 'data', 'processed');
-  const outputPath = join(outputDir, `${result.id}.json`);
-  const jsonData = JSON.parse(readFileSync(outputPath, 'utf-8'));
-  migrateToSQLite(jsonData);
+  for (const result of results) {
+    logger.log(`${result.id}: ${result.metadata.rowCount} records`);
+  }
 
   logger.log('='.repeat(60));
-  logger.success(`Build complete! CSV → JSON → SQLite`);
+  logger.success(`Build complete! CSV → SQLite${writeJson ? ' (+ JSON)' : ''}`);
 
-  return result;
+  return results;
 }
 
 async function downloadFreshCSV() {
@@ -236,27 +480,30 @@ async function downloadFreshCSV() {
   logger.log('Downloading fresh CSV from data.gov.sg');
   logger.log('='.repeat(60));
 
-  const datasetId = 'd_ee7e46d3c57f7865790704632b0aef71';
-
-  // Get the S3 URL using Playwright
-  logger.log('Extracting S3 URL from data.gov.sg...');
-  const s3Url = await getS3UrlFromDataGovSG(datasetId);
-
-  // Download the CSV from S3
-  logger.log('Downloading CSV from S3...');
-  const csvContent = await downloadCSVFromS3(s3Url);
-
   // Save to data directory
   const dataDir = join(ROOT_DIR, 'data');
   if (!existsSync(dataDir)) {
     mkdirSync(dataDir, { recursive: true });
   }
 
-  const csvPath = join(dataDir, 'CEASalespersonsPropertyTransactionRecordsresidential.csv');
-  writeFileSync(csvPath, csvContent);
+  const configs = loadDatasetConfigs().filter(config => config.source.type === 'datagovsg');
+
+  for (const { id, source } of configs) {
+    logger.log(`Downloading ${id} (dataset: ${source.resourceId})`);
+
+    // Get the S3 URL using Playwright
+    logger.log('Extracting S3 URL from data.gov.sg...');
+    const s3Url = await getS3UrlFromDataGovSG(source.resourceId);
+
+    // Download the CSV from S3
+    logger.log('Downloading CSV from S3...');
+    const csvPath = join(dataDir, source.file);
+    const size = await downloadCSVFromS3(s3Url, csvPath);
+
+    logger.success(`CSV downloaded and saved to ${csvPath}`);
+    logger.log(`File size: ${(size / 1024 / 1024).toFixed(2)} MB`);
+  }
 
-  logger.success(`CSV downloaded and saved to ${csvPath}`);
-  logger.log(`File size: ${(csvContent.length / 1024 / 1024).toFixed(2)} MB`);
   logger.log('='.repeat(60));
   logger.success('Download complete!');
 }
@@ -264,11 +511,15 @@ async function downloadFreshCSV() {
 async function main() {
   try {
     const command = process.argv[2];
+    // --json keeps the full-data JSON copy alongside the database
+    const writeJson = process.argv.includes('--json');
 
     if (command === 'download') {
       await downloadFreshCSV();
+    } else if (command === 'update') {
+      await runPipeline({ incremental: true, writeJson });
     } else {
-      await runPipeline();
+      await runPipeline({ writeJson });
     }
   } catch (error) {
     logger.error('Failed:', error.message);
@@ -1,9 +1,18 @@
 import express from 'express';
 import cors from 'cors';
 import { readFileSync, existsSync } from 'fs';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
-import db from './database.js';
+import { getDataset, listDatasets } from './database.js';
+import {
+  parseFilters,
+  QueryValidationError,
+  toMatchExpression
+} from './utils/queryBuilder.js';
+import { AGENT_CONDITIONS, agentCohorts, marketConcentration } from './utils/agentMetrics.js';
+import { listPeriods, parsePeriodRange, previousPeriodRange } from './utils/dateParser.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -47,26 +56,6 @@ const corsOptions = {
 app.use(cors(corsOptions));
 app.use(express.json());
 
-// Helper functions for filter parsing and application
-/**
- * Parse filters from query string
- * @param {string} filtersString - JSON string of filters from req.query.filters
- * @returns {Object|null} - Parsed filters object, or null if invalid/missing
- */
-function parseFilters(filtersString) {
-  if (!filtersString) {
-    return null;
-  }
-
-  try {
-    return JSON.parse(filtersString);
-  } catch (error) {
-    // Return a special error object to indicate parsing failure
-    return { __parseError: true };
-  }
-}
-
-
 // Serve frontend static files in production
 const frontendDistPath = join(ROOT_DIR, 'frontend', 'dist');
 if (existsSync(frontendDistPath)) {
@@ -74,27 +63,44 @@ if (existsSync(frontendDistPath)) {
   app.use(express.static(frontendDistPath, { index: 'index.html' }));
 }
 
-// SQLite helper functions
-function getMetadata() {
-  const metaRows = db.prepare('SELECT key, value FROM metadata').all();
-  const meta = {};
-  for (const row of metaRows) {
-    try {
-      meta[row.key] = JSON.parse(row.value);
-    } catch {
-      meta[row.key] = row.value;
-    }
+// Resolve :id to a registered dataset for every dataset route
+app.param('id', (req, res, next, id) => {
+  const dataset = getDataset(id);
+  if (!dataset) {
+    return res.status(404).json({ error: 'Dataset not found' });
   }
-  return {
-    id: meta.id,
-    name: meta.name,
-    description: meta.description,
-    metadata: meta.metadata,
-    schema: meta.schema,
-    visualizationRecommendations: meta.visualizationRecommendations
+  req.dataset = dataset;
+  next();
+});
+
+/**
+ * Decline routes that need columns a dataset doesn't have
+ * @param {Array<string>} columns - Columns the route queries directly
+ * @returns {Function} Express middleware
+ */
+function requireColumns(columns) {
+  return (req, res, next) => {
+    if (!req.dataset.hasColumns(columns)) {
+      return res.status(404).json({ error: 'This endpoint is not available for this dataset' });
+    }
+    next();
   };
 }
 
+// Agent endpoints take names from the agents table the pipeline builds for CEA datasets
+function requireAgentTable(req, res, next) {
+  if (!req.dataset.config.agentTable) {
+    return res.status(404).json({ error: 'This endpoint is not available for this dataset' });
+  }
+  next();
+}
+
+// Columns the CEA-specific breakdowns and agent endpoints query directly
+const CEA_COLUMNS = ['property_type', 'transaction_type', 'represented'];
+const AGENT_COLUMNS = [...CEA_COLUMNS, 'salesperson_name', 'salesperson_reg_num', 'town'];
+
+// Columns the pipeline derives from the transaction date, used by the time-based endpoints
+const PERIOD_COLUMNS = ['period', 'year'];
 
 // Routes
 
@@ -113,11 +119,7 @@ app.get('/api/datasets', (req, res) => {
 // Get dataset metadata
 app.get('/api/datasets/:id', (req, res) => {
   try {
-    const metadata = getMetadata();
-
-    if (metadata.id !== req.params.id) {
-      return res.status(404).json({ error: 'Dataset not found' });
-    }
+    const metadata = req.dataset.getMetadata();
 
     // Ensure schema is always well-formed with defensive defaults
     const safeMetadata = {
@@ -135,81 +137,179 @@ app.get('/api/datasets/:id', (req, res) => {
   }
 });
 
-// Get dataset data with pagination and filtering
-app.get('/api/datasets/:id/data', (req, res) => {
+// Data quality report from the last pipeline run
+app.get('/api/datasets/:id/quality', (req, res) => {
   try {
-    // Parse query parameters
-    const page = parseInt(req.query.page) || 1;
-    const limit = Math.min(parseInt(req.query.limit) || 100, 1000); // Max 1000 per request
-    const offset = (page - 1) * limit;
+    const report = req.dataset.getQualityReport();
 
-    // Build SQL query with filters
-    let sql = 'SELECT * FROM transactions';
-    let countSql = 'SELECT COUNT(*) as total FROM transactions';
-    const params = [];
-
-    // Apply filters if provided
-    const parsedFilters = parseFilters(req.query.filters);
-    if (parsedFilters && parsedFilters.__parseError) {
-      return res.status(400).json({ error: 'Invalid filters format' });
+    if (!report) {
+      return res.status(404).json({ error: 'No quality report for this dataset' });
     }
 
-    if (parsedFilters && Object.keys(parsedFilters).length > 0) {
-      const whereClauses = [];
-      for (const [key, value] of Object.entries(parsedFilters)) {
-        if (Array.isArray(value)) {
-          whereClauses.push(`${key} IN (${value.map(() => '?').join(',')})`);
-          params.push(...value);
-        } else {
-          whereClauses.push(`${key} = ?`);
-          params.push(value);
-        }
-      }
-      const whereClause = ' WHERE ' + whereClauses.join(' AND ');
-      sql += whereClause;
-      countSql += whereClause;
-    }
+    res.json(report);
+  } catch (error) {
+    console.error('Error loading quality report:', error);
+    res.status(500).json({ error: 'Failed to load quality report' });
+  }
+});
 
-    // Get total count
-    const { total } = db.prepare(countSql).get(...params);
+// Get dataset data with sorting and pagination
+// Pass `cursor` from a previous response for keyset pagination; `page` falls back to OFFSET.
+app.get('/api/datasets/:id/data', (req, res) => {
+  try {
+    const { db, builder } = req.dataset;
+    // Parse query parameters
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000); // Max 1000 per request
+    const includeTotal = req.query.includeTotal !== 'false';
+    const { cursor } = req.query;
+    const page = cursor ? null : parseInt(req.query.page) || 1;
+
+    const filters = parseFilters(req.query.filters);
+    const { rows: data, sort, order, hasMore, nextCursor } = builder.listRows({
+      filters,
+      sort: req.query.sort,
+      order: req.query.order,
+      cursor,
+      page,
+      limit
+    });
 
-    // Add pagination
-    sql += ' LIMIT ? OFFSET ?';
-    const paginatedData = db.prepare(sql).all(...params, limit, offset);
+    // Get total count (optional, it is the expensive part on large filters)
+    let total = null;
+    if (includeTotal) {
+      const countWhere = builder.where(filters);
+      ({ total } = db.prepare(`SELECT COUNT(*) as total FROM ${builder.table}${countWhere.sql}`).get(...countWhere.params));
+    }
 
     res.json({
-      data: paginatedData,
+      data,
       pagination: {
-        page,
         limit,
+        sort,
+        order,
+        hasMore,
+        nextCursor,
+        ...(page && { page }),
         total,
-        totalPages: Math.ceil(total / limit)
+        totalPages: total !== null ? Math.ceil(total / limit) : null
       }
     });
   } catch (error) {
+    if (error instanceof QueryValidationError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     console.error('Error loading dataset data:', error);
     res.status(500).json({ error: 'Failed to load dataset data' });
   }
 });
 
+// Export formats for the streaming export endpoint
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+const EXPORT_CHUNK_ROWS = 500;
+
+function toCSVField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Stream filtered transactions as CSV, NDJSON or a JSON array
+app.get('/api/datasets/:id/export', async (req, res) => {
+  const format = req.query.format || 'csv';
+  let connection = null;
+  let rows = null;
+
+  try {
+    const { builder } = req.dataset;
+    if (!EXPORT_FORMATS[format]) {
+      throw new QueryValidationError(`Invalid format: ${JSON.stringify(format)}`, Object.keys(EXPORT_FORMATS));
+    }
+
+    const columns = builder.getColumns();
+    const where = builder.where(parseFilters(req.query.filters));
+
+    // Iterate on a dedicated connection so other requests are not blocked while we stream
+    connection = req.dataset.openConnection();
+    rows = connection
+      .prepare(`SELECT ${columns.join(', ')} FROM ${builder.table}${where.sql} ORDER BY id`)
+      .iterate(...where.params);
+
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const filename = req.params.id.replace(/[^\w.-]/g, '_');
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.${extension}"`);
+
+    // Batch rows into chunks; pipeline() waits for the socket to drain and stops if the client disconnects
+    async function* chunks() {
+      let chunk = format === 'csv' ? columns.join(',') + '\n' : format === 'json' ? '[' : '';
+      let count = 0;
+
+      for (const row of rows) {
+        if (format === 'csv') {
+          chunk += columns.map(col => toCSVField(row[col])).join(',') + '\n';
+        } else if (format === 'ndjson') {
+          chunk += JSON.stringify(row) + '\n';
+        } else {
+          chunk += (count > 0 ? ',\n' : '\n') + JSON.stringify(row);
+        }
+        count++;
+
+        if (count % EXPORT_CHUNK_ROWS === 0) {
+          yield chunk;
+          chunk = '';
+        }
+      }
+
+      if (format === 'json') {
+        chunk += '\n]\n';
+      }
+      yield chunk;
+    }
+
+    await pipeline(Readable.from(chunks()), res);
+  } catch (error) {
+    if (res.headersSent) {
+      // The client went away mid-download; nothing left to report
+      if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') return;
+      console.error('Error streaming export:', error);
+      return res.destroy(error);
+    }
+    if (error instanceof QueryValidationError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error exporting dataset:', error);
+    res.status(500).json({ error: 'Failed to export dataset' });
+  } finally {
+    // Release the statement before closing in case the client disconnected mid-stream
+    rows?.return();
+    connection?.close();
+  }
+});
+
 // Get aggregated statistics
 app.get('/api/datasets/:id/stats', (req, res) => {
   try {
-    const field = req.query.field;
-
-    if (!field) {
+    const { db, builder } = req.dataset;
+    if (!req.query.field) {
       return res.status(400).json({ error: 'Field parameter is required' });
     }
 
+    const field = builder.column(req.query.field, 'field');
+    const { table, count } = builder.source([field]);
+
     // Get total count
-    const { total } = db.prepare('SELECT COUNT(*) as total FROM transactions').get();
+    const { total } = db.prepare(`SELECT ${count} as total FROM ${table}`).get();
 
     // Get value counts using SQL GROUP BY
     const sql = `
       SELECT
         COALESCE(${field}, '(null)') as value,
-        COUNT(*) as count
-      FROM transactions
+        ${count} as count
+      FROM ${table}
       GROUP BY ${field}
       ORDER BY count DESC
     `;
@@ -230,6 +330,9 @@ app.get('/api/datasets/:id/stats', (req, res) => {
       stats
     });
   } catch (error) {
+    if (error instanceof QueryValidationError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     console.error('Error calculating stats:', error);
     res.status(500).json({ error: 'Failed to calculate stats' });
   }
@@ -238,67 +341,46 @@ app.get('/api/datasets/:id/stats', (req, res) => {
 // Multi-dimensional analytics endpoint
 app.get('/api/datasets/:id/analytics', (req, res) => {
   try {
-    const { dimension1, dimension2, filters } = req.query;
-
-    if (!dimension1) {
+    const { db, builder } = req.dataset;
+    if (!req.query.dimension1) {
       return res.status(400).json({ error: 'dimension1 parameter is required' });
     }
 
+    const dimension1 = builder.column(req.query.dimension1, 'dimension1');
+    const dimension2 = req.query.dimension2
+      ? builder.column(req.query.dimension2, 'dimension2')
+      : null;
+    const filters = parseFilters(req.query.filters);
+    const where = builder.where(filters);
+    const { table, count } = builder.source([dimension1, dimension2].filter(Boolean), filters);
+
     // Build SQL query
-    const params = [];
-    let sql, countSql;
+    let sql;
 
     if (dimension2) {
       sql = `
         SELECT
           COALESCE(${dimension1}, 'Unknown') as ${dimension1},
           COALESCE(${dimension2}, 'Unknown') as ${dimension2},
-          COUNT(*) as count
-        FROM transactions
+          ${count} as count
+        FROM ${table}${where.sql}
+        GROUP BY ${dimension1}, ${dimension2}
+        ORDER BY count DESC
       `;
-      countSql = 'SELECT COUNT(*) as total FROM transactions';
     } else {
       sql = `
         SELECT
           COALESCE(${dimension1}, 'Unknown') as ${dimension1},
-          COUNT(*) as count
-        FROM transactions
+          ${count} as count
+        FROM ${table}${where.sql}
+        GROUP BY ${dimension1}
+        ORDER BY count DESC
       `;
-      countSql = 'SELECT COUNT(*) as total FROM transactions';
-    }
-
-    // Apply filters if provided
-    const parsedFilters = parseFilters(filters);
-    if (parsedFilters && parsedFilters.__parseError) {
-      return res.status(400).json({ error: 'Invalid filters format' });
-    }
-
-    if (parsedFilters && Object.keys(parsedFilters).length > 0) {
-      const whereClauses = [];
-      for (const [key, value] of Object.entries(parsedFilters)) {
-        if (Array.isArray(value)) {
-          whereClauses.push(`${key} IN (${value.map(() => '?').join(',')})`);
-          params.push(...value);
-        } else {
-          whereClauses.push(`${key} = ?`);
-          params.push(value);
-        }
-      }
-      const whereClause = ' WHERE ' + whereClauses.join(' AND ');
-      sql += whereClause;
-      countSql += whereClause;
-    }
-
-    // Add GROUP BY and ORDER BY
-    if (dimension2) {
-      sql += ` GROUP BY ${dimension1}, ${dimension2} ORDER BY count DESC`;
-    } else {
-      sql += ` GROUP BY ${dimension1} ORDER BY count DESC`;
     }
 
     // Execute queries
-    const results = db.prepare(sql).all(...params);
-    const { total } = db.prepare(countSql).get(...params);
+    const results = db.prepare(sql).all(...where.params);
+    const { total } = db.prepare(`SELECT ${count} as total FROM ${table}${where.sql}`).get(...where.params);
 
     // Format chart data
     let chartData;
@@ -319,87 +401,56 @@ app.get('/api/datasets/:id/analytics', (req, res) => {
       total
     });
   } catch (error) {
+    if (error instanceof QueryValidationError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     console.error('Error calculating analytics:', error);
     res.status(500).json({ error: 'Failed to calculate analytics' });
   }
 });
 
 // Time-series analytics endpoint
-app.get('/api/datasets/:id/timeseries', (req, res) => {
+app.get('/api/datasets/:id/timeseries', requireColumns(PERIOD_COLUMNS), (req, res) => {
   try {
-    const { period = 'month', groupBy, filters } = req.query;
-
-    // Build SQL query with date parsing
-    // Convert "MMM-YYYY" format to "YYYY-MM" or "YYYY"
-    const monthConversion = `
-      CASE substr(transaction_date, 1, 3)
-        WHEN 'JAN' THEN '01' WHEN 'FEB' THEN '02' WHEN 'MAR' THEN '03'
-        WHEN 'APR' THEN '04' WHEN 'MAY' THEN '05' WHEN 'JUN' THEN '06'
-        WHEN 'JUL' THEN '07' WHEN 'AUG' THEN '08' WHEN 'SEP' THEN '09'
-        WHEN 'OCT' THEN '10' WHEN 'NOV' THEN '11' WHEN 'DEC' THEN '12'
-      END
-    `;
+    const { db, builder } = req.dataset;
+    const { period = 'month' } = req.query;
+    const groupBy = req.query.groupBy
+      ? builder.column(req.query.groupBy, 'groupBy')
+      : null;
+    const filters = parseFilters(req.query.filters);
+    const where = builder.where(filters, ['period IS NOT NULL']);
+    const { table, count } = builder.source(['period', 'year', groupBy].filter(Boolean), filters);
 
-    const periodExpression = period === 'year'
-      ? `substr(transaction_date, -4)` // Extract "YYYY" from "MMM-YYYY"
-      : `substr(transaction_date, -4) || '-' || ${monthConversion}`; // "YYYY-MM"
+    // Periods are stored as "YYYY-MM" and year as an integer at build time.
+    // GROUP BY uses the expression because the "period" alias shadows the column.
+    const periodExpression = period === 'year' ? 'CAST(year AS TEXT)' : 'period';
 
-    const params = [];
-    let sql, countSql;
+    let sql;
 
     if (groupBy) {
       sql = `
         SELECT
           ${periodExpression} as period,
           COALESCE(${groupBy}, 'Unknown') as groupByValue,
-          COUNT(*) as count
-        FROM transactions
-        WHERE transaction_date IS NOT NULL AND transaction_date != '-'
+          ${count} as count
+        FROM ${table}${where.sql}
+        GROUP BY ${periodExpression}, groupByValue
+        ORDER BY ${periodExpression}
       `;
-      countSql = `SELECT COUNT(*) as total FROM transactions WHERE transaction_date IS NOT NULL AND transaction_date != '-'`;
     } else {
       sql = `
         SELECT
           ${periodExpression} as period,
-          COUNT(*) as count
-        FROM transactions
-        WHERE transaction_date IS NOT NULL AND transaction_date != '-'
+          ${count} as count
+        FROM ${table}${where.sql}
+        GROUP BY ${periodExpression}
+        ORDER BY ${periodExpression}
       `;
-      countSql = `SELECT COUNT(*) as total FROM transactions WHERE transaction_date IS NOT NULL AND transaction_date != '-'`;
-    }
-
-    // Apply filters if provided
-    const parsedFilters = parseFilters(filters);
-    if (parsedFilters && parsedFilters.__parseError) {
-      return res.status(400).json({ error: 'Invalid filters format' });
-    }
-
-    if (parsedFilters && Object.keys(parsedFilters).length > 0) {
-      const whereClauses = [];
-      for (const [key, value] of Object.entries(parsedFilters)) {
-        if (Array.isArray(value)) {
-          whereClauses.push(`${key} IN (${value.map(() => '?').join(',')})`);
-          params.push(...value);
-        } else {
-          whereClauses.push(`${key} = ?`);
-          params.push(value);
-        }
-      }
-      const whereClause = ' AND ' + whereClauses.join(' AND ');
-      sql += whereClause;
-      countSql += whereClause;
-    }
-
-    // Add GROUP BY and ORDER BY
-    if (groupBy) {
-      sql += ` GROUP BY period, groupByValue ORDER BY period`;
-    } else {
-      sql += ` GROUP BY period ORDER BY period`;
     }
 
     // Execute queries
-    const results = db.prepare(sql).all(...params);
-    const { total } = db.prepare(countSql).get(...params);
+    const results = db.prepare(sql).all(...where.params);
+    const { total } = db.prepare(`SELECT ${count} as total FROM ${table}${where.sql}`).get(...where.params);
 
     // Transform results into the expected format
     let series;
@@ -432,111 +483,86 @@ app.get('/api/datasets/:id/timeseries', (req, res) => {
       total
     });
   } catch (error) {
+    if (error instanceof QueryValidationError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     console.error('Error calculating time series:', error);
     res.status(500).json({ error: 'Failed to calculate time series' });
   }
 });
 
 // Market insights endpoint
-app.get('/api/datasets/:id/insights', (req, res) => {
+app.get('/api/datasets/:id/insights', requireColumns([...CEA_COLUMNS, ...PERIOD_COLUMNS]), (req, res) => {
   try {
-    const { filters } = req.query;
-    const params = [];
-
-    // Build WHERE clause for filters
-    let whereClause = '';
-    const parsedFilters = parseFilters(filters);
-    if (parsedFilters && parsedFilters.__parseError) {
-      return res.status(400).json({ error: 'Invalid filters format' });
-    }
-
-    if (parsedFilters && Object.keys(parsedFilters).length > 0) {
-      const whereClauses = [];
-      for (const [key, value] of Object.entries(parsedFilters)) {
-        if (Array.isArray(value)) {
-          whereClauses.push(`${key} IN (${value.map(() => '?').join(',')})`);
-          params.push(...value);
-        } else {
-          whereClauses.push(`${key} = ?`);
-          params.push(value);
-        }
-      }
-      whereClause = ' WHERE ' + whereClauses.join(' AND ');
-    }
+    const { db, builder } = req.dataset;
+    const filters = parseFilters(req.query.filters);
+    const where = builder.where(filters);
+    const datedWhere = builder.where(filters, ['period IS NOT NULL']);
+    const { table, count } = builder.source(
+      ['property_type', 'transaction_type', 'represented', 'period', 'year'],
+      filters
+    );
 
     // Get total transactions
-    const { totalTransactions } = db.prepare(`SELECT COUNT(*) as totalTransactions FROM transactions${whereClause}`).get(...params);
+    const { totalTransactions } = db.prepare(`SELECT ${count} as totalTransactions FROM ${table}${where.sql}`).get(...where.params);
 
     // Get date range
     const dateRangeQuery = `
       SELECT
-        MIN(transaction_date) as start,
-        MAX(transaction_date) as end
-      FROM transactions
-      ${whereClause ? whereClause + ' AND' : 'WHERE'} transaction_date IS NOT NULL AND transaction_date != '-'
+        MIN(period) as start,
+        MAX(period) as end
+      FROM ${table}${datedWhere.sql}
     `;
-    const dateRange = db.prepare(dateRangeQuery).get(...params);
+    const dateRange = db.prepare(dateRangeQuery).get(...datedWhere.params);
 
     // Property type distribution
     const propertyTypeQuery = `
       SELECT
         COALESCE(property_type, 'Unknown') as name,
-        COUNT(*) as count,
-        ROUND(CAST(COUNT(*) AS FLOAT) / ${totalTransactions} * 100, 1) as percentage
-      FROM transactions
-      ${whereClause}
+        ${count} as count,
+        ROUND(CAST(${count} AS FLOAT) / ? * 100, 1) as percentage
+      FROM ${table}${where.sql}
       GROUP BY property_type
       ORDER BY count DESC
     `;
-    const propertyTypes = db.prepare(propertyTypeQuery).all(...params);
+    const propertyTypes = db.prepare(propertyTypeQuery).all(totalTransactions, ...where.params);
     const topPropertyType = propertyTypes[0];
 
     // Transaction type distribution
     const transactionTypeQuery = `
       SELECT
         COALESCE(transaction_type, 'Unknown') as name,
-        COUNT(*) as count,
-        ROUND(CAST(COUNT(*) AS FLOAT) / ${totalTransactions} * 100, 1) as percentage
-      FROM transactions
-      ${whereClause}
+        ${count} as count,
+        ROUND(CAST(${count} AS FLOAT) / ? * 100, 1) as percentage
+      FROM ${table}${where.sql}
       GROUP BY transaction_type
       ORDER BY count DESC
     `;
-    const transactionTypes = db.prepare(transactionTypeQuery).all(...params);
+    const transactionTypes = db.prepare(transactionTypeQuery).all(totalTransactions, ...where.params);
     const topTransactionType = transactionTypes[0];
 
     // Representation distribution
     const representedQuery = `
       SELECT
         COALESCE(represented, 'Unknown') as name,
-        COUNT(*) as count,
-        ROUND(CAST(COUNT(*) AS FLOAT) / ${totalTransactions} * 100, 1) as percentage
-      FROM transactions
-      ${whereClause}
+        ${count} as count,
+        ROUND(CAST(${count} AS FLOAT) / ? * 100, 1) as percentage
+      FROM ${table}${where.sql}
       GROUP BY represented
       ORDER BY count DESC
     `;
-    const represented = db.prepare(representedQuery).all(...params);
+    const represented = db.prepare(representedQuery).all(totalTransactions, ...where.params);
 
     // Monthly trends
-    const monthConversion = `
-      CASE substr(transaction_date, 1, 3)
-        WHEN 'JAN' THEN '01' WHEN 'FEB' THEN '02' WHEN 'MAR' THEN '03'
-        WHEN 'APR' THEN '04' WHEN 'MAY' THEN '05' WHEN 'JUN' THEN '06'
-        WHEN 'JUL' THEN '07' WHEN 'AUG' THEN '08' WHEN 'SEP' THEN '09'
-        WHEN 'OCT' THEN '10' WHEN 'NOV' THEN '11' WHEN 'DEC' THEN '12'
-      END
-    `;
     const monthlyQuery = `
       SELECT
-        substr(transaction_date, -4) || '-' || ${monthConversion} as period,
-        COUNT(*) as count
-      FROM transactions
-      ${whereClause}${whereClause ? ' AND' : ' WHERE'} transaction_date IS NOT NULL AND transaction_date != '-'
+        period,
+        ${count} as count
+      FROM ${table}${datedWhere.sql}
       GROUP BY period
       ORDER BY period
     `;
-    const monthlyData = db.prepare(monthlyQuery).all(...params);
+    const monthlyData = db.prepare(monthlyQuery).all(...datedWhere.params);
     const monthlyAverage = monthlyData.length > 0
       ? Math.round(monthlyData.reduce((sum, row) => sum + row.count, 0) / monthlyData.length)
       : 0;
@@ -544,14 +570,13 @@ app.get('/api/datasets/:id/insights', (req, res) => {
     // Yearly growth
     const yearlyQuery = `
       SELECT
-        substr(transaction_date, -4) as year,
-        COUNT(*) as count
-      FROM transactions
-      ${whereClause}${whereClause ? ' AND' : ' WHERE'} transaction_date IS NOT NULL AND transaction_date != '-'
+        year,
+        ${count} as count
+      FROM ${table}${datedWhere.sql}
       GROUP BY year
       ORDER BY year
     `;
-    const yearlyData = db.prepare(yearlyQuery).all(...params);
+    const yearlyData = db.prepare(yearlyQuery).all(...datedWhere.params);
     let yearlyGrowth = 0;
     if (yearlyData.length >= 2) {
       const lastYear = yearlyData[yearlyData.length - 1].count;
@@ -577,88 +602,228 @@ app.get('/api/datasets/:id/insights', (req, res) => {
       }
     });
   } catch (error) {
+    if (error instanceof QueryValidationError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     console.error('Error calculating insights:', error);
     res.status(500).json({ error: 'Failed to calculate insights' });
   }
 });
 
-// Top agents ranking endpoint
-app.get('/api/datasets/:id/agents/top', (req, res) => {
+// Filterable columns and their distinct values, counted under the current filters
+const FACET_COLUMNS = ['property_type', 'transaction_type', 'represented', 'town', 'district'];
+
+app.get('/api/datasets/:id/facets', (req, res) => {
   try {
-    const { limit = 100, filters, search } = req.query;
-    const params = [];
-
-    // Build WHERE clause for filters
-    let whereClause = 'WHERE salesperson_reg_num IS NOT NULL AND salesperson_reg_num != \'-\' AND salesperson_reg_num != \'\'';
-    const parsedFilters = parseFilters(filters);
-    if (parsedFilters && parsedFilters.__parseError) {
-      return res.status(400).json({ error: 'Invalid filters format' });
-    }
-
-    if (parsedFilters && Object.keys(parsedFilters).length > 0) {
-      const whereClauses = [];
-      for (const [key, value] of Object.entries(parsedFilters)) {
-        if (Array.isArray(value)) {
-          whereClauses.push(`${key} IN (${value.map(() => '?').join(',')})`);
-          params.push(...value);
-        } else {
-          whereClauses.push(`${key} = ?`);
-          params.push(value);
-        }
-      }
-      whereClause += ' AND ' + whereClauses.join(' AND ');
+    const { db, builder } = req.dataset;
+    const filters = parseFilters(req.query.filters);
+    const columns = req.query.columns
+      ? req.query.columns.split(',').map(name => builder.column(name.trim(), 'columns'))
+      : FACET_COLUMNS.filter(col => builder.getColumns().includes(col));
+
+    // Validate every filter key up front, even those only applied to other facets
+    builder.where(filters);
+
+    const facets = {};
+    for (const col of columns) {
+      // A facet ignores its own filter so the other values stay selectable
+      const { [col]: ownFilter, ...otherFilters } = filters;
+      const where = builder.where(otherFilters, [`${col} IS NOT NULL`]);
+      const all = builder.source([col], {});
+      const filtered = builder.source([col], otherFilters);
+
+      const values = db.prepare(`
+        SELECT ${col} as value
+        FROM ${all.table}
+        WHERE ${col} IS NOT NULL
+        GROUP BY ${col}
+      `).all();
+      const counts = new Map(
+        db.prepare(`
+          SELECT ${col} as value, ${filtered.count} as count
+          FROM ${filtered.table}${where.sql}
+          GROUP BY ${col}
+        `).all(...where.params).map(row => [row.value, row.count])
+      );
+
+      // Values with no matches under the other filters are kept with a zero count
+      facets[col] = values
+        .map(({ value }) => ({ value, count: counts.get(value) || 0 }))
+        .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+    }
+
+    res.json({ filters, facets });
+  } catch (error) {
+    if (error instanceof QueryValidationError) {
+      return res.status(error.status).json(error.toJSON());
     }
+    console.error('Error calculating facets:', error);
+    res.status(500).json({ error: 'Failed to calculate facets' });
+  }
+});
+
+// Typed autocomplete over agents, towns and districts
+const SEARCH_TYPES = ['agent', 'town', 'district'];
+
+app.get('/api/datasets/:id/search', (req, res) => {
+  if (!req.dataset.config.searchIndex) {
+    return res.status(404).json({ error: 'Search is not available for this dataset' });
+  }
+
+  try {
+    const { db } = req.dataset;
+    const { q, type } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
 
-    // Add search filter if provided
-    if (search && search.trim()) {
-      whereClause += ` AND (salesperson_name LIKE ? OR salesperson_reg_num LIKE ?)`;
-      const searchPattern = `%${search}%`;
-      params.push(searchPattern, searchPattern);
+    if (!q) {
+      return res.status(400).json({ error: 'q parameter is required' });
+    }
+
+    if (type && !SEARCH_TYPES.includes(type)) {
+      throw new QueryValidationError(`Invalid type: ${JSON.stringify(type)}`, SEARCH_TYPES);
+    }
+
+    const matchExpression = toMatchExpression(q);
+    if (!matchExpression) {
+      return res.json({ query: q, results: [] });
+    }
+
+    // bm25 weights: label matches count ten times more than the supporting terms
+    const sql = `
+      SELECT
+        kind as type,
+        value,
+        label,
+        detail,
+        weight as count
+      FROM search_index
+      WHERE search_index MATCH ?${type ? ' AND kind = ?' : ''}
+      ORDER BY bm25(search_index, 10.0, 1.0), weight DESC
+      LIMIT ?
+    `;
+    const params = type ? [matchExpression, type, limit] : [matchExpression, limit];
+    const results = db.prepare(sql).all(...params);
+
+    res.json({ query: q, results });
+  } catch (error) {
+    if (error instanceof QueryValidationError) {
+      return res.status(error.status).json(error.toJSON());
     }
+    console.error('Error searching dataset:', error);
+    res.status(500).json({ error: 'Failed to search dataset' });
+  }
+});
+
+// Leaderboard ranking: RANK() so agents with equal counts share a position
+function rankedAgentsQuery(table, whereSql) {
+  return `
+        SELECT
+          salesperson_reg_num as regNum,
+          COUNT(*) as totalTransactions,
+          RANK() OVER (ORDER BY COUNT(*) DESC) as rank
+        FROM ${table}${whereSql}
+        GROUP BY salesperson_reg_num
+      `;
+}
+
+function periodConditions(range) {
+  return range ? [{ clause: 'period BETWEEN ? AND ?', params: [range.from, range.to] }] : [];
+}
+
+/**
+ * Resolve the leaderboard's `period` and `compare` parameters
+ * `compare` defaults to the equally long window just before `period`; "none" turns the comparison off.
+ * Relative periods ("last-3-months") end at the latest month in the data.
+ * @returns {Object} { range, compareRange } as { from, to } months, null when not ranking by period
+ */
+function resolveLeaderboardPeriods(db, builder, { period, compare }) {
+  if (!period) {
+    return { range: null, compareRange: null };
+  }
+
+  const { latest } = db.prepare(`SELECT MAX(period) as latest FROM ${builder.table}`).get();
+  const range = parsePeriodRange(period, latest);
+  if (!range) {
+    throw new QueryValidationError(`Invalid period: ${JSON.stringify(period)}`);
+  }
+  if (compare === 'none') {
+    return { range, compareRange: null };
+  }
+
+  const compareRange = !compare || compare === 'previous'
+    ? previousPeriodRange(range)
+    : parsePeriodRange(compare, latest);
+  if (!compareRange) {
+    throw new QueryValidationError(`Invalid compare period: ${JSON.stringify(compare)}`);
+  }
+  return { range, compareRange };
+}
+
+// Top agents ranking endpoint
+app.get('/api/datasets/:id/agents/top', requireColumns(AGENT_COLUMNS), requireAgentTable, (req, res) => {
+  try {
+    const { db, builder } = req.dataset;
+    const { limit = 100, search } = req.query;
+    const filters = parseFilters(req.query.filters);
+    const { range, compareRange } = resolveLeaderboardPeriods(db, builder, req.query);
+
+    // Ranks are over every agent under the filters and period; the search only picks which ranked agents come back
+    const marketWhere = builder.where(filters, [...AGENT_CONDITIONS, ...periodConditions(range)]);
+
+    // Add search filter if provided, resolved through the full-text index
+    const matchExpression = toMatchExpression(search);
+    const searchSql = matchExpression
+      ? `WHERE ranked.regNum IN (
+        SELECT value FROM search_index WHERE search_index MATCH ? AND kind = 'agent'
+      )`
+      : '';
+    const searchParams = matchExpression ? [matchExpression] : [];
 
     // Get top agents by transaction count
+    // Counted per registration number so name variants don't split an agent; the name is the canonical one
     const agentsQuery = `
       SELECT
-        salesperson_reg_num as regNum,
-        salesperson_name as name,
-        COUNT(*) as totalTransactions
-      FROM transactions
-      ${whereClause}
-      GROUP BY salesperson_reg_num, salesperson_name
-      ORDER BY totalTransactions DESC
+        ranked.regNum,
+        agents.name,
+        ranked.totalTransactions,
+        ranked.rank
+      FROM (${rankedAgentsQuery(builder.table, marketWhere.sql)}) ranked
+      LEFT JOIN agents ON agents.reg_num = ranked.regNum
+      ${searchSql}
+      ORDER BY ranked.rank, ranked.regNum
       LIMIT ?
     `;
-    params.push(parseInt(limit));
-    const topAgents = db.prepare(agentsQuery).all(...params);
+    const topAgents = db.prepare(agentsQuery).all(...marketWhere.params, ...searchParams, parseInt(limit));
 
     // Get total unique agents count (without limit)
     const totalAgentsQuery = `
-      SELECT COUNT(DISTINCT salesperson_reg_num) as total
-      FROM transactions
-      ${whereClause}
+      SELECT COUNT(*) as total
+      FROM (${rankedAgentsQuery(builder.table, marketWhere.sql)}) ranked
+      ${searchSql}
     `;
-    const { total } = db.prepare(totalAgentsQuery).get(...params.slice(0, -1)); // Exclude limit param
+    const { total } = db.prepare(totalAgentsQuery).get(...marketWhere.params, ...searchParams);
 
     // Batch query optimization: Get top metrics for all agents at once
     // Collect all agent registration numbers
     const agentRegNums = topAgents.map(a => a.regNum);
-    const batchParams = [];
-
-    // Build base WHERE clause for batch queries
-    let batchWhere = `WHERE salesperson_reg_num IN (${agentRegNums.map(() => '?').join(',')})`;
-    batchParams.push(...agentRegNums);
-
-    // Add filter constraints if present
-    if (parsedFilters && Object.keys(parsedFilters).length > 0) {
-      for (const [key, value] of Object.entries(parsedFilters)) {
-        if (Array.isArray(value)) {
-          batchWhere += ` AND ${key} IN (${value.map(() => '?').join(',')})`;
-          batchParams.push(...value);
-        } else {
-          batchWhere += ` AND ${key} = ?`;
-          batchParams.push(value);
-        }
-      }
+
+    // Build base WHERE clause for batch queries, keeping filter constraints
+    const batchWhere = builder.where(filters, [{
+      clause: `salesperson_reg_num IN (${agentRegNums.map(() => '?').join(',')})`,
+      params: agentRegNums
+    }, ...periodConditions(range)]);
+
+    // Where the same agents ranked in the comparison period (absent ones had no transactions in it)
+    const previousRanks = new Map();
+    if (compareRange && agentRegNums.length > 0) {
+      const compareWhere = builder.where(filters, [...AGENT_CONDITIONS, ...periodConditions(compareRange)]);
+      db.prepare(`
+        SELECT regNum, rank
+        FROM (${rankedAgentsQuery(builder.table, compareWhere.sql)})
+        WHERE regNum IN (${agentRegNums.map(() => '?').join(',')})
+      `).all(...compareWhere.params, ...agentRegNums).forEach(row => {
+        previousRanks.set(row.regNum, row.rank);
+      });
     }
 
     // Batch query for top property types
@@ -669,8 +834,7 @@ app.get('/api/datasets/:id/agents/top', (req, res) => {
           property_type,
           COUNT(*) as count,
           ROW_NUMBER() OVER (PARTITION BY salesperson_reg_num ORDER BY COUNT(*) DESC) as rank
-        FROM transactions
-        ${batchWhere}
+        FROM ${builder.table}${batchWhere.sql}
         GROUP BY salesperson_reg_num, property_type
       )
       SELECT salesperson_reg_num, property_type, count
@@ -678,7 +842,7 @@ app.get('/api/datasets/:id/agents/top', (req, res) => {
       WHERE rank = 1
     `;
     const topPropertyTypesMap = new Map();
-    db.prepare(topPropertyTypesQuery).all(...batchParams).forEach(row => {
+    db.prepare(topPropertyTypesQuery).all(...batchWhere.params).forEach(row => {
       topPropertyTypesMap.set(row.salesperson_reg_num, [row.property_type, row.count]);
     });
 
@@ -690,8 +854,7 @@ app.get('/api/datasets/:id/agents/top', (req, res) => {
           transaction_type,
           COUNT(*) as count,
           ROW_NUMBER() OVER (PARTITION BY salesperson_reg_num ORDER BY COUNT(*) DESC) as rank
-        FROM transactions
-        ${batchWhere}
+        FROM ${builder.table}${batchWhere.sql}
         GROUP BY salesperson_reg_num, transaction_type
       )
       SELECT salesperson_reg_num, transaction_type, count
@@ -699,7 +862,7 @@ app.get('/api/datasets/:id/agents/top', (req, res) => {
       WHERE rank = 1
     `;
     const topTransactionTypesMap = new Map();
-    db.prepare(topTransactionTypesQuery).all(...batchParams).forEach(row => {
+    db.prepare(topTransactionTypesQuery).all(...batchWhere.params).forEach(row => {
       topTransactionTypesMap.set(row.salesperson_reg_num, [row.transaction_type, row.count]);
     });
 
@@ -711,8 +874,7 @@ app.get('/api/datasets/:id/agents/top', (req, res) => {
           represented,
           COUNT(*) as count,
           ROW_NUMBER() OVER (PARTITION BY salesperson_reg_num ORDER BY COUNT(*) DESC) as rank
-        FROM transactions
-        ${batchWhere}
+        FROM ${builder.table}${batchWhere.sql}
         GROUP BY salesperson_reg_num, represented
       )
       SELECT salesperson_reg_num, represented, count
@@ -720,7 +882,7 @@ app.get('/api/datasets/:id/agents/top', (req, res) => {
       WHERE rank = 1
     `;
     const topRepresentationMap = new Map();
-    db.prepare(topRepresentationQuery).all(...batchParams).forEach(row => {
+    db.prepare(topRepresentationQuery).all(...batchWhere.params).forEach(row => {
       topRepresentationMap.set(row.salesperson_reg_num, [row.represented, row.count]);
     });
 
@@ -732,8 +894,7 @@ app.get('/api/datasets/:id/agents/top', (req, res) => {
           town,
           COUNT(*) as count,
           ROW_NUMBER() OVER (PARTITION BY salesperson_reg_num ORDER BY COUNT(*) DESC) as rank
-        FROM transactions
-        ${batchWhere} AND town != '-'
+        FROM ${builder.table}${batchWhere.sql} AND town != '-'
         GROUP BY salesperson_reg_num, town
       )
       SELECT salesperson_reg_num, town, count
@@ -741,14 +902,18 @@ app.get('/api/datasets/:id/agents/top', (req, res) => {
       WHERE rank = 1
     `;
     const topTownsMap = new Map();
-    db.prepare(topTownsQuery).all(...batchParams).forEach(row => {
+    db.prepare(topTownsQuery).all(...batchWhere.params).forEach(row => {
       topTownsMap.set(row.salesperson_reg_num, [row.town, row.count]);
     });
 
     // Map results back to agents
     const agentsWithDetails = topAgents.map(agent => {
+      const previousRank = previousRanks.get(agent.regNum) ?? null;
       return {
         ...agent,
+        previousRank,
+        rankDelta: previousRank !== null ? previousRank - agent.rank : null,
+        newEntrant: Boolean(compareRange) && previousRank === null,
         topPropertyType: topPropertyTypesMap.get(agent.regNum) || ['Unknown', 0],
         topTransactionType: topTransactionTypesMap.get(agent.regNum) || ['Unknown', 0],
         topRepresentation: topRepresentationMap.get(agent.regNum) || ['Unknown', 0],
@@ -761,17 +926,28 @@ app.get('/api/datasets/:id/agents/top', (req, res) => {
       };
     });
 
-    // Calculate aggregate statistics
-    const totalTransactions = agentsWithDetails.reduce((sum, a) => sum + a.totalTransactions, 0);
-    const averageTransactions = agentsWithDetails.length > 0
-      ? (totalTransactions / agentsWithDetails.length).toFixed(0)
+    // Market statistics cover every agent under the filters and period, whatever the search or limit
+    const { totalTransactions, totalAgents } = db.prepare(`
+      SELECT COUNT(*) as totalTransactions, COUNT(DISTINCT salesperson_reg_num) as totalAgents
+      FROM ${builder.table}${marketWhere.sql}
+    `).get(...marketWhere.params);
+    const marketLeaders = db.prepare(`
+      SELECT COUNT(*) as count
+      FROM ${builder.table}${marketWhere.sql}
+      GROUP BY salesperson_reg_num
+      ORDER BY count DESC
+      LIMIT 10
+    `).all(...marketWhere.params).map(row => row.count);
+
+    const averageTransactions = totalAgents > 0
+      ? (totalTransactions / totalAgents).toFixed(0)
       : 0;
 
-    const topAgentMarketShare = agentsWithDetails.length > 0 && totalTransactions > 0
-      ? ((agentsWithDetails[0].totalTransactions / totalTransactions) * 100).toFixed(1)
+    const topAgentMarketShare = marketLeaders.length > 0 && totalTransactions > 0
+      ? ((marketLeaders[0] / totalTransactions) * 100).toFixed(1)
       : '0.0';
 
-    const top10Transactions = agentsWithDetails.slice(0, 10).reduce((sum, a) => sum + a.totalTransactions, 0);
+    const top10Transactions = marketLeaders.reduce((sum, count) => sum + count, 0);
     const top10MarketShare = totalTransactions > 0
       ? ((top10Transactions / totalTransactions) * 100).toFixed(1)
       : '0.0';
@@ -779,6 +955,8 @@ app.get('/api/datasets/:id/agents/top', (req, res) => {
     res.json({
       total,
       showing: agentsWithDetails.length,
+      period: range,
+      compare: compareRange,
       agents: agentsWithDetails,
       statistics: {
         averageTransactions: parseFloat(averageTransactions),
@@ -788,114 +966,299 @@ app.get('/api/datasets/:id/agents/top', (req, res) => {
       }
     });
   } catch (error) {
+    if (error instanceof QueryValidationError) {
+      return res.status(error.status).json(error.toJSON());
+    }
     console.error('Error calculating top agents:', error);
     res.status(500).json({ error: 'Failed to calculate top agents' });
   }
 });
 
+// Market concentration per month or year (HHI, Gini and top-N shares)
+app.get('/api/datasets/:id/agents/concentration', requireColumns([...AGENT_COLUMNS, 'period']), (req, res) => {
+  try {
+    const { db, builder } = req.dataset;
+    const { period = 'month' } = req.query;
+    const filters = parseFilters(req.query.filters);
+    const periods = marketConcentration(db, builder, filters, period);
+
+    res.json({ period, filters, periods });
+  } catch (error) {
+    if (error instanceof QueryValidationError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error calculating market concentration:', error);
+    res.status(500).json({ error: 'Failed to calculate market concentration' });
+  }
+});
+
+// Agent entries, exits and cohort retention
+app.get('/api/datasets/:id/agents/cohorts', requireColumns([...AGENT_COLUMNS, 'period']), (req, res) => {
+  try {
+    const { db, builder } = req.dataset;
+    const filters = parseFilters(req.query.filters);
+    const { months, retention } = agentCohorts(db, builder, filters);
+
+    res.json({
+      filters,
+      months,
+      retention
+    });
+  } catch (error) {
+    if (error instanceof QueryValidationError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error calculating agent cohorts:', error);
+    res.status(500).json({ error: 'Failed to calculate agent cohorts' });
+  }
+});
+
+// Side-by-side comparison of a few agents under the current filters
+// Mixes are each agent's share of their own transactions; town overlap is per pair (Jaccard similarity of towns worked)
+const COMPARE_LIMITS = { min: 2, max: 5 };
+const COMPARE_MIXES = {
+  propertyTypes: 'property_type',
+  transactionTypes: 'transaction_type',
+  representation: 'represented'
+};
+
+// { [regNum]: value } for every compared agent, zero when an agent has no rows
+function countsByAgent(regNums, rows) {
+  const counts = Object.fromEntries(regNums.map(regNum => [regNum, 0]));
+  rows.forEach(row => { counts[row.regNum] = row.count; });
+  return counts;
+}
+
+function sumValues(counts) {
+  return Object.values(counts).reduce((sum, count) => sum + count, 0);
+}
+
+app.get('/api/datasets/:id/agents/compare', requireColumns(AGENT_COLUMNS), requireAgentTable, (req, res) => {
+  try {
+    const { db, builder } = req.dataset;
+    const filters = parseFilters(req.query.filters);
+    const regNums = [...new Set(String(req.query.regNums || '').split(',').map(r => r.trim()).filter(Boolean))];
+
+    if (regNums.length < COMPARE_LIMITS.min || regNums.length > COMPARE_LIMITS.max) {
+      throw new QueryValidationError(
+        `Compare between ${COMPARE_LIMITS.min} and ${COMPARE_LIMITS.max} agents (got ${regNums.length})`
+      );
+    }
+
+    const placeholders = regNums.map(() => '?').join(',');
+    const identities = db.prepare(`
+      SELECT reg_num as regNum, name FROM agents WHERE reg_num IN (${placeholders})
+    `).all(...regNums);
+    const names = new Map(identities.map(row => [row.regNum, row.name]));
+    const missing = regNums.filter(regNum => !names.has(regNum));
+    if (missing.length > 0) {
+      return res.status(404).json({ error: 'Agent not found', regNums: missing });
+    }
+
+    const where = builder.where(filters, [{
+      clause: `salesperson_reg_num IN (${placeholders})`,
+      params: regNums
+    }]);
+
+    const totals = countsByAgent(regNums, db.prepare(`
+      SELECT salesperson_reg_num as regNum, COUNT(*) as count
+      FROM ${builder.table}${where.sql}
+      GROUP BY salesperson_reg_num
+    `).all(...where.params));
+
+    const agents = regNums.map(regNum => ({
+      regNum,
+      name: names.get(regNum),
+      totalTransactions: totals[regNum]
+    }));
+
+    // Monthly activity on one shared axis, from the first to the last month any of them was active
+    const activityRows = db.prepare(`
+      SELECT period, salesperson_reg_num as regNum, COUNT(*) as count
+      FROM ${builder.table}${where.sql} AND period IS NOT NULL
+      GROUP BY period, salesperson_reg_num
+    `).all(...where.params);
+
+    const activityByPeriod = new Map();
+    activityRows.forEach(row => {
+      if (!activityByPeriod.has(row.period)) activityByPeriod.set(row.period, []);
+      activityByPeriod.get(row.period).push(row);
+    });
+    const activePeriods = [...activityByPeriod.keys()].sort();
+    const monthlyActivity = activePeriods.length > 0
+      ? listPeriods(activePeriods[0], activePeriods[activePeriods.length - 1]).map(period => ({
+        period,
+        counts: countsByAgent(regNums, activityByPeriod.get(period) || [])
+      }))
+      : [];
+
+    // Property, transaction and representation mixes, most common types first
+    const mixes = {};
+    for (const [key, column] of Object.entries(COMPARE_MIXES)) {
+      const rows = db.prepare(`
+        SELECT ${column} as type, salesperson_reg_num as regNum, COUNT(*) as count
+        FROM ${builder.table}${where.sql}
+        GROUP BY ${column}, salesperson_reg_num
+      `).all(...where.params);
+
+      const byType = new Map();
+      rows.forEach(row => {
+        if (!byType.has(row.type)) byType.set(row.type, []);
+        byType.get(row.type).push(row);
+      });
+
+      mixes[key] = [...byType.entries()]
+        .map(([type, typeRows]) => {
+          const counts = countsByAgent(regNums, typeRows);
+          const percentages = Object.fromEntries(regNums.map(regNum => [
+            regNum,
+            totals[regNum] > 0 ? parseFloat(((counts[regNum] / totals[regNum]) * 100).toFixed(1)) : 0
+          ]));
+          return { type, counts, percentages };
+        })
+        .sort((a, b) => sumValues(b.counts) - sumValues(a.counts));
+    }
+
+    // Towns worked, and how much each pair of agents overlaps
+    const townRows = db.prepare(`
+      SELECT town, salesperson_reg_num as regNum, COUNT(*) as count
+      FROM ${builder.table}${where.sql} AND town != '-'
+      GROUP BY town, salesperson_reg_num
+    `).all(...where.params);
+
+    const townsByAgent = new Map(regNums.map(regNum => [regNum, new Set()]));
+    const byTown = new Map();
+    townRows.forEach(row => {
+      townsByAgent.get(row.regNum).add(row.town);
+      if (!byTown.has(row.town)) byTown.set(row.town, []);
+      byTown.get(row.town).push(row);
+    });
+
+    const towns = [...byTown.entries()]
+      .map(([town, rows]) => ({ town, agents: rows.length, counts: countsByAgent(regNums, rows) }))
+      .sort((a, b) => b.agents - a.agents || sumValues(b.counts) - sumValues(a.counts));
+
+    const townOverlap = [];
+    regNums.forEach((first, i) => {
+      regNums.slice(i + 1).forEach(second => {
+        const firstTowns = townsByAgent.get(first);
+        const secondTowns = townsByAgent.get(second);
+        const shared = [...firstTowns].filter(town => secondTowns.has(town));
+        const union = firstTowns.size + secondTowns.size - shared.length;
+        townOverlap.push({
+          regNums: [first, second],
+          sharedTowns: shared.sort(),
+          similarity: union > 0 ? parseFloat((shared.length / union).toFixed(3)) : 0
+        });
+      });
+    });
+
+    res.json({
+      agents,
+      filters,
+      monthlyActivity,
+      ...mixes,
+      towns,
+      townOverlap
+    });
+  } catch (error) {
+    if (error instanceof QueryValidationError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error comparing agents:', error);
+    res.status(500).json({ error: 'Failed to compare agents' });
+  }
+});
+
 // Individual agent profile endpoint
-app.get('/api/datasets/:id/agents/:regNum', (req, res) => {
+app.get('/api/datasets/:id/agents/:regNum', requireColumns(AGENT_COLUMNS), requireAgentTable, (req, res) => {
   try {
+    const { db, builder } = req.dataset;
     const { regNum } = req.params;
 
-    // Get agent basic info and transaction count
+    // Get agent identity and transaction count
     const agentQuery = `
       SELECT
-        salesperson_name as name,
-        salesperson_reg_num as regNum,
-        COUNT(*) as totalTransactions
-      FROM transactions
-      WHERE salesperson_reg_num = ?
-      GROUP BY salesperson_name, salesperson_reg_num
+        name,
+        reg_num as regNum,
+        name_variants as nameVariants,
+        first_period as start,
+        last_period as end,
+        transaction_count as totalTransactions
+      FROM agents
+      WHERE reg_num = ?
     `;
-    const agent = db.prepare(agentQuery).get(regNum);
+    const row = db.prepare(agentQuery).get(regNum);
 
-    if (!agent) {
+    if (!row) {
       return res.status(404).json({ error: 'Agent not found' });
     }
 
-    // Get date range
-    const dateRangeQuery = `
-      SELECT
-        MIN(transaction_date) as start,
-        MAX(transaction_date) as end
-      FROM transactions
-      WHERE salesperson_reg_num = ?
-        AND transaction_date IS NOT NULL
-        AND transaction_date != '-'
-    `;
-    const dateRange = db.prepare(dateRangeQuery).get(regNum);
+    const { start, end, nameVariants, ...identity } = row;
+    const agent = { ...identity, nameVariants: JSON.parse(nameVariants) };
+    const dateRange = { start, end };
 
     // Property type breakdown
     const propertyTypeQuery = `
       SELECT
         property_type as type,
         COUNT(*) as count,
-        ROUND(CAST(COUNT(*) AS FLOAT) / ${agent.totalTransactions} * 100, 1) as percentage
-      FROM transactions
+        ROUND(CAST(COUNT(*) AS FLOAT) / ? * 100, 1) as percentage
+      FROM ${builder.table}
       WHERE salesperson_reg_num = ?
       GROUP BY property_type
       ORDER BY count DESC
     `;
-    const propertyTypes = db.prepare(propertyTypeQuery).all(regNum);
+    const propertyTypes = db.prepare(propertyTypeQuery).all(agent.totalTransactions, regNum);
 
     // Transaction type breakdown
     const transactionTypeQuery = `
       SELECT
         transaction_type as type,
         COUNT(*) as count,
-        ROUND(CAST(COUNT(*) AS FLOAT) / ${agent.totalTransactions} * 100, 1) as percentage
-      FROM transactions
+        ROUND(CAST(COUNT(*) AS FLOAT) / ? * 100, 1) as percentage
+      FROM ${builder.table}
       WHERE salesperson_reg_num = ?
       GROUP BY transaction_type
       ORDER BY count DESC
     `;
-    const transactionTypes = db.prepare(transactionTypeQuery).all(regNum);
+    const transactionTypes = db.prepare(transactionTypeQuery).all(agent.totalTransactions, regNum);
 
     // Representation breakdown
     const representationQuery = `
       SELECT
         represented as type,
         COUNT(*) as count,
-        ROUND(CAST(COUNT(*) AS FLOAT) / ${agent.totalTransactions} * 100, 1) as percentage
-      FROM transactions
+        ROUND(CAST(COUNT(*) AS FLOAT) / ? * 100, 1) as percentage
+      FROM ${builder.table}
       WHERE salesperson_reg_num = ?
       GROUP BY represented
       ORDER BY count DESC
     `;
-    const representation = db.prepare(representationQuery).all(regNum);
+    const representation = db.prepare(representationQuery).all(agent.totalTransactions, regNum);
 
     // Top 10 towns
     const topTownsQuery = `
       SELECT
         town,
         COUNT(*) as count,
-        ROUND(CAST(COUNT(*) AS FLOAT) / ${agent.totalTransactions} * 100, 1) as percentage
-      FROM transactions
+        ROUND(CAST(COUNT(*) AS FLOAT) / ? * 100, 1) as percentage
+      FROM ${builder.table}
       WHERE salesperson_reg_num = ? AND town != '-'
       GROUP BY town
       ORDER BY count DESC
       LIMIT 10
     `;
-    const topTowns = db.prepare(topTownsQuery).all(regNum);
+    const topTowns = db.prepare(topTownsQuery).all(agent.totalTransactions, regNum);
 
     // Monthly activity time series
-    const monthConversion = `
-      CASE substr(transaction_date, 1, 3)
-        WHEN 'JAN' THEN '01' WHEN 'FEB' THEN '02' WHEN 'MAR' THEN '03'
-        WHEN 'APR' THEN '04' WHEN 'MAY' THEN '05' WHEN 'JUN' THEN '06'
-        WHEN 'JUL' THEN '07' WHEN 'AUG' THEN '08' WHEN 'SEP' THEN '09'
-        WHEN 'OCT' THEN '10' WHEN 'NOV' THEN '11' WHEN 'DEC' THEN '12'
-      END
-    `;
     const monthlyActivityQuery = `
       SELECT
-        substr(transaction_date, -4) || '-' || ${monthConversion} as period,
+        period,
         COUNT(*) as count
-      FROM transactions
+      FROM ${builder.table}
       WHERE salesperson_reg_num = ?
-        AND transaction_date IS NOT NULL
-        AND transaction_date != '-'
+        AND period IS NOT NULL
       GROUP BY period
       ORDER BY period
     `;
@@ -918,7 +1281,7 @@ app.get('/api/datasets/:id/agents/:regNum', (req, res) => {
 
 // Health check
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  res.json({ status: 'ok', datasets: listDatasets().length, timestamp: new Date().toISOString() });
 });
 
 // Catch-all route - serve frontend for client-side routing
@@ -936,5 +1299,5 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log(`API server running on http://0.0.0.0:${PORT}`);
   console.log(`Health check: http://localhost:${PORT}/health`);
   console.log(`Datasets: http://localhost:${PORT}/api/datasets`);
-  console.log('Using SQLite database for efficient queries');
+  console.log(`Serving ${listDatasets().map(dataset => dataset.id).join(', ') || 'no datasets'} from SQLite`);
 });
@@ -0,0 +1,168 @@
+/**
+ * Agent market metrics computed in SQL
+ * Kept apart from the routes so the arithmetic can be checked against small tables with known answers.
+ */
+
+import { QueryValidationError } from './queryBuilder.js';
+
+// Rows attributed to an identifiable agent
+export const AGENT_CONDITIONS = [
+  'salesperson_reg_num IS NOT NULL',
+  "salesperson_reg_num != '-'",
+  "salesperson_reg_num != ''"
+];
+
+// Market concentration per month or year
+// Shares are of all agent-attributed transactions under the filters. HHI is on the usual 0-10,000 scale
+// (sum of squared percentage shares); Gini runs from 0 (every agent equally busy) towards 1.
+const CONCENTRATION_PERIODS = {
+  month: 'period',
+  year: 'SUBSTR(period, 1, 4)'
+};
+
+function round(value, places) {
+  return Math.round(value * 10 ** places) / 10 ** places;
+}
+
+/**
+ * Concentration of transactions among agents in each period
+ * @param {Object} db - Database connection
+ * @param {Object} builder - Query builder for the dataset's table
+ * @param {Object} filters - Parsed filters
+ * @param {string} period - "month" or "year"
+ * @returns {Array<Object>} Per period: transactions, agents, hhi, gini, top1/10/100Share and medianAgentShare (percentages)
+ */
+export function marketConcentration(db, builder, filters, period = 'month') {
+  if (!CONCENTRATION_PERIODS[period]) {
+    throw new QueryValidationError(`Invalid period: ${JSON.stringify(period)}`, Object.keys(CONCENTRATION_PERIODS));
+  }
+
+  const where = builder.where(filters, [...AGENT_CONDITIONS, 'period IS NOT NULL']);
+  const sql = `
+    WITH counts AS (
+      SELECT
+        ${CONCENTRATION_PERIODS[period]} as period,
+        COUNT(*) as n
+      FROM ${builder.table}${where.sql}
+      GROUP BY 1, salesperson_reg_num
+    ),
+    ranked AS (
+      SELECT
+        period,
+        n,
+        ROW_NUMBER() OVER (PARTITION BY period ORDER BY n DESC) as rank,
+        ROW_NUMBER() OVER (PARTITION BY period ORDER BY n) as ascending_rank,
+        SUM(n) OVER (PARTITION BY period) as total,
+        COUNT(*) OVER (PARTITION BY period) as agents
+      FROM counts
+    )
+    SELECT
+      period,
+      MAX(total) as transactions,
+      MAX(agents) as agents,
+      SUM(CAST(n AS FLOAT) * n) * 10000 / (CAST(MAX(total) AS FLOAT) * MAX(total)) as hhi,
+      2.0 * SUM(ascending_rank * n) / (CAST(MAX(agents) AS FLOAT) * MAX(total))
+        - (MAX(agents) + 1.0) / MAX(agents) as gini,
+      SUM(CASE WHEN rank <= 1 THEN n ELSE 0 END) * 100.0 / MAX(total) as top1Share,
+      SUM(CASE WHEN rank <= 10 THEN n ELSE 0 END) * 100.0 / MAX(total) as top10Share,
+      SUM(CASE WHEN rank <= 100 THEN n ELSE 0 END) * 100.0 / MAX(total) as top100Share,
+      AVG(CASE WHEN ascending_rank IN ((agents + 1) / 2, (agents + 2) / 2) THEN n END) * 100.0 / MAX(total)
+        as medianAgentShare
+    FROM ranked
+    GROUP BY period
+    ORDER BY period
+  `;
+
+  return db.prepare(sql).all(...where.params).map(row => ({
+    period: row.period,
+    transactions: row.transactions,
+    agents: row.agents,
+    hhi: round(row.hhi, 1),
+    gini: round(row.gini, 3),
+    top1Share: round(row.top1Share, 2),
+    top10Share: round(row.top10Share, 2),
+    top100Share: round(row.top100Share, 2),
+    medianAgentShare: round(row.medianAgentShare, 4)
+  }));
+}
+
+/**
+ * Agent entries, exits and cohort retention
+ * An agent's tenure runs from their first to their last active month under the filters.
+ * Between the two they count as active in months with a transaction and dormant in the rest.
+ * @param {Object} db - Database connection
+ * @param {Object} builder - Query builder for the dataset's table
+ * @param {Object} filters - Parsed filters
+ * @returns {Object} { months: [{ period, new, active, dormant, exited }], retention: [{ cohort, agents, years }] }
+ */
+export function agentCohorts(db, builder, filters) {
+  const where = builder.where(filters, [...AGENT_CONDITIONS, 'period IS NOT NULL']);
+  const activity = `
+    activity AS (
+      SELECT DISTINCT salesperson_reg_num as reg_num, period
+      FROM ${builder.table}${where.sql}
+    ),
+    spans AS (
+      SELECT reg_num, MIN(period) as first_period, MAX(period) as last_period
+      FROM activity
+      GROUP BY reg_num
+    )
+  `;
+
+  const monthsQuery = `
+    WITH ${activity},
+    active AS (SELECT period, COUNT(*) as count FROM activity GROUP BY period),
+    entered AS (SELECT first_period as period, COUNT(*) as count FROM spans GROUP BY first_period),
+    exited AS (SELECT last_period as period, COUNT(*) as count FROM spans GROUP BY last_period)
+    SELECT
+      active.period,
+      active.count as active,
+      COALESCE(entered.count, 0) as entered,
+      COALESCE(exited.count, 0) as exited
+    FROM active
+    LEFT JOIN entered ON entered.period = active.period
+    LEFT JOIN exited ON exited.period = active.period
+    ORDER BY active.period
+  `;
+  const rows = db.prepare(monthsQuery).all(...where.params);
+
+  // Agents in the market: everyone who has entered, less those whose last month has already passed
+  let inMarket = 0;
+  const months = rows.map((row, index) => {
+    inMarket += row.entered;
+    const month = {
+      period: row.period,
+      new: row.entered,
+      active: row.active,
+      dormant: inMarket - row.active,
+      // Agents active in the latest month may well carry on, so nobody has exited yet
+      exited: index === rows.length - 1 ? null : row.exited
+    };
+    inMarket -= row.exited;
+    return month;
+  });
+
+  // Cohort retention: agents who started in one year and still transacted in a later one
+  const retentionQuery = `
+    WITH ${activity}
+    SELECT
+      SUBSTR(spans.first_period, 1, 4) as cohort,
+      SUBSTR(activity.period, 1, 4) as year,
+      COUNT(DISTINCT activity.reg_num) as agents
+    FROM activity
+    JOIN spans ON spans.reg_num = activity.reg_num
+    GROUP BY cohort, year
+    ORDER BY cohort, year
+  `;
+  const cohorts = new Map();
+  for (const { cohort, year, agents } of db.prepare(retentionQuery).all(...where.params)) {
+    if (!cohorts.has(cohort)) {
+      // The first year of a cohort is every agent in it
+      cohorts.set(cohort, { cohort, agents, years: [] });
+    }
+    const entry = cohorts.get(cohort);
+    entry.years.push({ year, agents, rate: Math.round((agents / entry.agents) * 1000) / 10 });
+  }
+
+  return { months, retention: [...cohorts.values()] };
+}
@@ -0,0 +1,154 @@
+/**
+ * Row-level validation for the pipeline
+ * Checks each row against the dataset's validation rules while it streams past and summarizes the
+ * results as a quality report; thresholds in the config decide whether the build may go ahead.
+ */
+
+// Distinct offending values kept per column, so the report shows what went wrong without growing unbounded
+const MAX_EXAMPLES = 5;
+
+function rate(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 10000) / 10000 : 0;
+}
+
+function percent(value) {
+  return `${Math.round(value * 10000) / 100}%`;
+}
+
+/**
+ * Compile one column rule into a predicate
+ * @param {Object} rule - { pattern } (regular expression source) or { enum } (allowed values)
+ * @returns {Function} value => boolean
+ */
+function compileRule(rule) {
+  if (rule.pattern) {
+    const pattern = new RegExp(rule.pattern);
+    return value => pattern.test(value);
+  }
+  const allowed = new Set(rule.enum);
+  return value => allowed.has(value);
+}
+
+/**
+ * Incremental validator for one dataset
+ * @param {Object} config - Normalized dataset config (uses `columns` and `validation`)
+ * @returns {Object} { checkHeaders(headers), add(row), finish({ duplicates }) }
+ */
+export function createValidator(config) {
+  const { placeholders, rules } = config.validation;
+  const placeholderValues = new Set(placeholders);
+  const checks = Object.fromEntries(
+    Object.entries(rules).map(([column, rule]) => [column, compileRule(rule)])
+  );
+
+  const columns = {};
+  for (const column of Object.keys(config.columns)) {
+    columns[column] = { missing: 0, placeholders: 0, invalid: 0, examples: [] };
+  }
+
+  let rowCount = 0;
+  let unexpectedColumns = [];
+  let missingColumns = [];
+
+  return {
+    /**
+     * Compare the source header against the columns the config expects
+     * @param {Array<string>} headers - Source column names
+     */
+    checkHeaders(headers) {
+      const expected = Object.values(config.columns);
+      unexpectedColumns = headers.filter(header => !expected.includes(header));
+      missingColumns = expected.filter(column => !headers.includes(column));
+    },
+
+    /**
+     * @param {Object} row - Row keyed by table column name
+     */
+    add(row) {
+      rowCount++;
+
+      for (const [column, result] of Object.entries(columns)) {
+        const value = row[column];
+
+        if (value === null || value === undefined || value === '') {
+          result.missing++;
+          continue;
+        }
+
+        if (placeholderValues.has(value)) {
+          result.placeholders++;
+          continue;
+        }
+
+        if (checks[column] && !checks[column](value)) {
+          result.invalid++;
+          if (result.examples.length < MAX_EXAMPLES && !result.examples.includes(value)) {
+            result.examples.push(value);
+          }
+        }
+      }
+    },
+
+    /**
+     * Summarize the checks and apply the thresholds
+     * @param {Object} counts
+     * @param {number} counts.duplicates - Rows that repeat an earlier row exactly
+     * @returns {Object} Quality report; `passed` is false when any threshold is exceeded
+     */
+    finish({ duplicates = 0 } = {}) {
+      const report = {
+        generatedAt: new Date().toISOString(),
+        rowCount,
+        passed: true,
+        failures: [],
+        thresholds: config.validation.thresholds,
+        columns: {},
+        duplicates: { count: duplicates, rate: rate(duplicates, rowCount) },
+        unexpectedColumns,
+        missingColumns
+      };
+
+      for (const [column, result] of Object.entries(columns)) {
+        report.columns[column] = {
+          rule: rules[column] ? (rules[column].pattern ? 'pattern' : 'enum') : null,
+          missing: result.missing,
+          missingRate: rate(result.missing, rowCount),
+          placeholders: result.placeholders,
+          placeholderRate: rate(result.placeholders, rowCount),
+          invalid: result.invalid,
+          invalidRate: rate(result.invalid, rowCount),
+          examples: result.examples
+        };
+      }
+
+      const {
+        maxInvalidRate = null,
+        maxPlaceholderRate = {},
+        maxDuplicateRate = null,
+        failOnUnexpectedColumns = false
+      } = config.validation.thresholds;
+
+      if (missingColumns.length > 0) {
+        report.failures.push(`Missing columns: ${missingColumns.join(', ')}`);
+      }
+      if (failOnUnexpectedColumns && unexpectedColumns.length > 0) {
+        report.failures.push(`Unexpected columns: ${unexpectedColumns.join(', ')}`);
+      }
+      for (const [column, stats] of Object.entries(report.columns)) {
+        if (maxInvalidRate !== null && stats.invalidRate > maxInvalidRate) {
+          report.failures.push(`${column}: ${percent(stats.invalidRate)} invalid values (max ${percent(maxInvalidRate)})`);
+        }
+        const maxPlaceholders = maxPlaceholderRate[column];
+        if (maxPlaceholders !== undefined && stats.placeholderRate > maxPlaceholders) {
+          report.failures.push(`${column}: ${percent(stats.placeholderRate)} placeholders (max ${percent(maxPlaceholders)})`);
+        }
+      }
+      if (maxDuplicateRate !== null && report.duplicates.rate > maxDuplicateRate) {
+        report.failures.push(`${percent(report.duplicates.rate)} duplicate rows (max ${percent(maxDuplicateRate)})`);
+      }
+
+      report.passed = report.failures.length === 0;
+      return report;
+    }
+  };
+}
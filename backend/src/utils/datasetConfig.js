@@ -0,0 +1,190 @@
+/**
+ * Dataset configuration loading
+ * Every dataset the pipeline builds and the server serves is declared in backend/datasets.config.json.
+ */
+
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { parseTransactionDate } from './dateParser.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const CONFIG_PATH = join(__dirname, '..', '..', 'datasets.config.json');
+
+const IDENTIFIER_PATTERN = /^[a-z_][a-z0-9_]*$/;
+const DATASET_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * Transforms available to derived columns, keyed by name
+ * Each takes the source value and returns the stored value (or null); `type` is the SQLite column type.
+ */
+export const DERIVED_TRANSFORMS = {
+  // "MMM-YYYY" → "YYYY-MM"
+  period: {
+    type: 'TEXT',
+    apply: value => parseTransactionDate(value)?.substring(0, 7) ?? null
+  },
+  year: {
+    type: 'INTEGER',
+    apply: value => {
+      const isoDate = parseTransactionDate(value);
+      return isoDate ? parseInt(isoDate.substring(0, 4)) : null;
+    }
+  },
+  month: {
+    type: 'INTEGER',
+    apply: value => {
+      const isoDate = parseTransactionDate(value);
+      return isoDate ? parseInt(isoDate.substring(5, 7)) : null;
+    }
+  }
+};
+
+function assertIdentifier(value, where) {
+  if (typeof value !== 'string' || !IDENTIFIER_PATTERN.test(value)) {
+    throw new Error(`Invalid ${where}: ${JSON.stringify(value)} (expected a lowercase SQL identifier)`);
+  }
+}
+
+/**
+ * Check the validation section and fill in defaults
+ * Rules are keyed by table column and take either a `pattern` (regular expression source) or an `enum`.
+ * Every threshold is optional; an omitted one is reported on but never fails the build.
+ */
+function normalizeValidation(id, validation = {}, columns) {
+  const rules = validation.rules || {};
+  for (const [column, rule] of Object.entries(rules)) {
+    if (!columns[column]) {
+      throw new Error(`Validation rule for unknown column ${id}.${column}`);
+    }
+    if (rule.pattern) {
+      try {
+        new RegExp(rule.pattern);
+      } catch (error) {
+        throw new Error(`Invalid pattern for ${id}.${column}: ${error.message}`);
+      }
+    } else if (!Array.isArray(rule.enum)) {
+      throw new Error(`Validation rule for ${id}.${column} needs a pattern or an enum`);
+    }
+  }
+
+  const thresholds = validation.thresholds || {};
+  for (const column of Object.keys(thresholds.maxPlaceholderRate || {})) {
+    if (!columns[column]) {
+      throw new Error(`Placeholder threshold for unknown column ${id}.${column}`);
+    }
+  }
+
+  return {
+    placeholders: validation.placeholders || ['-'],
+    rules,
+    thresholds
+  };
+}
+
+/**
+ * Validate one dataset entry and fill in defaults
+ * Names end up interpolated into SQL, so they are checked against a strict identifier pattern here.
+ * @param {Object} dataset - Raw entry from the config file
+ * @returns {Object} Normalized dataset config
+ */
+function normalizeDataset(dataset) {
+  const { id } = dataset;
+  if (typeof id !== 'string' || !DATASET_ID_PATTERN.test(id)) {
+    throw new Error(`Invalid dataset id: ${JSON.stringify(id)}`);
+  }
+  if (!dataset.name) {
+    throw new Error(`Dataset ${id} is missing a name`);
+  }
+  if (!dataset.source?.type || !dataset.source?.file) {
+    throw new Error(`Dataset ${id} needs source.type and source.file`);
+  }
+  if (dataset.source.type === 'datagovsg' && !dataset.source.resourceId) {
+    throw new Error(`Dataset ${id} needs source.resourceId for a datagovsg source`);
+  }
+
+  const table = dataset.table || 'transactions';
+  assertIdentifier(table, `table for ${id}`);
+
+  const columns = dataset.columns || {};
+  if (Object.keys(columns).length === 0) {
+    throw new Error(`Dataset ${id} declares no columns`);
+  }
+  Object.keys(columns).forEach(name => assertIdentifier(name, `column in ${id}`));
+
+  const derived = dataset.derived || {};
+  for (const [name, { from, transform }] of Object.entries(derived)) {
+    assertIdentifier(name, `derived column in ${id}`);
+    if (!columns[from]) {
+      throw new Error(`Derived column ${id}.${name} reads unknown column ${JSON.stringify(from)}`);
+    }
+    if (!DERIVED_TRANSFORMS[transform]) {
+      throw new Error(`Derived column ${id}.${name} uses unknown transform ${JSON.stringify(transform)}`);
+    }
+  }
+
+  const allColumns = [...Object.keys(columns), ...Object.keys(derived)];
+  const indexes = dataset.indexes || [];
+  for (const column of indexes) {
+    if (!allColumns.includes(column)) {
+      throw new Error(`Index on unknown column ${id}.${column}`);
+    }
+  }
+
+  const rollup = dataset.rollup || null;
+  // The search index lists agents from the agents table
+  if (dataset.searchIndex && !dataset.agentTable) {
+    throw new Error(`Dataset ${id} needs agentTable for its search index`);
+  }
+
+  if (rollup) {
+    assertIdentifier(rollup.table, `rollup table for ${id}`);
+    assertIdentifier(rollup.countColumn, `rollup count column for ${id}`);
+    for (const column of [...rollup.dimensions, ...(rollup.indexes || [])]) {
+      if (!allColumns.includes(column)) {
+        throw new Error(`Rollup for ${id} references unknown column ${JSON.stringify(column)}`);
+      }
+    }
+  }
+
+  return {
+    ...dataset,
+    description: dataset.description || '',
+    database: dataset.database || `${id}.db`,
+    table,
+    columns,
+    derived,
+    indexes,
+    rollup: rollup && { indexes: [], ...rollup },
+    searchIndex: Boolean(dataset.searchIndex),
+    agentTable: Boolean(dataset.agentTable),
+    validation: normalizeValidation(id, dataset.validation, columns)
+  };
+}
+
+/**
+ * Load and validate every dataset declared in datasets.config.json
+ * @param {string} configPath - Override the config location (defaults to backend/datasets.config.json)
+ * @returns {Array<Object>} Normalized dataset configs, in declaration order
+ */
+export function loadDatasetConfigs(configPath = CONFIG_PATH) {
+  const { datasets } = JSON.parse(readFileSync(configPath, 'utf-8'));
+
+  if (!Array.isArray(datasets) || datasets.length === 0) {
+    throw new Error(`No datasets declared in ${configPath}`);
+  }
+
+  const normalized = datasets.map(normalizeDataset);
+
+  const ids = new Set();
+  const databases = new Set();
+  for (const { id, database } of normalized) {
+    if (ids.has(id)) throw new Error(`Duplicate dataset id: ${id}`);
+    if (databases.has(database)) throw new Error(`Datasets share a database file: ${database}`);
+    ids.add(id);
+    databases.add(database);
+  }
+
+  return normalized;
+}
@@ -11,16 +11,17 @@ const MONTH_MAP = {
 
 /**
  * Parse transaction date string to ISO format
+ * Anything else, e.g. a two-digit year like "JAN-24", is left to the validator to report.
  * @param {string} dateStr - Date in "MMM-YYYY" format
- * @returns {string} ISO date string "YYYY-MM-DD"
+ * @returns {string|null} ISO date string "YYYY-MM-DD", or null when the date is not "MMM-YYYY"
  */
 export function parseTransactionDate(dateStr) {
   if (!dateStr || dateStr === '-') return null;
 
-  const [month, year] = dateStr.split('-');
+  const [month, year, ...rest] = dateStr.split('-');
   const monthNum = MONTH_MAP[month];
 
-  if (!monthNum || !year) return null;
+  if (!monthNum || !/^\d{4}$/.test(year || '') || rest.length > 0) return null;
 
   return `${year}-${monthNum}-01`;
 }
@@ -121,3 +122,110 @@ export function getDateRange(data) {
     end: sortedDates[sortedDates.length - 1].original
   };
 }
+
+// Years a period expression may name, and the longest "last-N-months" window
+const MIN_PERIOD_YEAR = 1900;
+const MAX_PERIOD_YEAR = 2100;
+const MAX_WINDOW_MONTHS = 120;
+
+// "YYYY-MM" ↔ months since year 0, for period arithmetic
+function toMonthIndex(period) {
+  const [year, month] = period.split('-').map(Number);
+  return year * 12 + month - 1;
+}
+
+function fromMonthIndex(index) {
+  const year = Math.floor(index / 12);
+  const month = String((index % 12) + 1).padStart(2, '0');
+  return `${String(year).padStart(4, '0')}-${month}`;
+}
+
+/**
+ * Resolve one bound of a period expression to its first and last months
+ * @param {string} value - "YYYY", "YYYY-Qn" or "YYYY-MM"
+ * @returns {Object|null} { from, to } as "YYYY-MM", or null when unrecognized
+ */
+function periodBounds(value) {
+  const year = Number(value.slice(0, 4));
+  if (year < MIN_PERIOD_YEAR || year > MAX_PERIOD_YEAR) return null;
+
+  let match = value.match(/^(\d{4})$/);
+  if (match) {
+    return { from: `${match[1]}-01`, to: `${match[1]}-12` };
+  }
+
+  match = value.match(/^(\d{4})-Q([1-4])$/i);
+  if (match) {
+    const firstMonth = (Number(match[2]) - 1) * 3 + 1;
+    return {
+      from: `${match[1]}-${String(firstMonth).padStart(2, '0')}`,
+      to: `${match[1]}-${String(firstMonth + 2).padStart(2, '0')}`
+    };
+  }
+
+  match = value.match(/^(\d{4})-(0[1-9]|1[0-2])$/);
+  if (match) {
+    return { from: value, to: value };
+  }
+
+  return null;
+}
+
+/**
+ * Resolve a period expression to an inclusive range of months
+ * Accepts a year ("2024"), quarter ("2024-Q2"), month ("2024-05"), a range of those ("2024-01..2024-Q3"),
+ * or a window ending at the latest month in the data ("last-month", "last-3-months", "last-12-months").
+ * Years must fall in 1900–2100 and windows can span at most ten years.
+ * @param {string} value - Period expression
+ * @param {string} latestPeriod - Latest "YYYY-MM" in the data, for the relative windows
+ * @returns {Object|null} { from, to } as "YYYY-MM", or null when the expression is invalid
+ */
+export function parsePeriodRange(value, latestPeriod) {
+  if (typeof value !== 'string') return null;
+
+  const window = value.match(/^last-(?:(\d+)-)?months?$/);
+  if (window) {
+    const months = Number(window[1] || 1);
+    if (!latestPeriod || months < 1 || months > MAX_WINDOW_MONTHS) return null;
+    return {
+      from: fromMonthIndex(toMonthIndex(latestPeriod) - months + 1),
+      to: latestPeriod
+    };
+  }
+
+  const [start, end = start, ...rest] = value.split('..');
+  if (rest.length > 0) return null;
+
+  const from = periodBounds(start.trim());
+  const to = periodBounds(end.trim());
+  if (!from || !to || from.from > to.to) return null;
+
+  return { from: from.from, to: to.to };
+}
+
+/**
+ * The range of the same length immediately before another
+ * @param {Object} range - { from, to } as "YYYY-MM"
+ * @returns {Object} { from, to } as "YYYY-MM"
+ */
+export function previousPeriodRange({ from, to }) {
+  const length = toMonthIndex(to) - toMonthIndex(from) + 1;
+  return {
+    from: fromMonthIndex(toMonthIndex(from) - length),
+    to: fromMonthIndex(toMonthIndex(from) - 1)
+  };
+}
+
+/**
+ * Every month in an inclusive range, in order
+ * @param {string} from - First "YYYY-MM"
+ * @param {string} to - Last "YYYY-MM"
+ * @returns {Array<string>} "YYYY-MM" periods
+ */
+export function listPeriods(from, to) {
+  const periods = [];
+  for (let index = toMonthIndex(from); index <= toMonthIndex(to); index++) {
+    periods.push(fromMonthIndex(index));
+  }
+  return periods;
+}
@@ -0,0 +1,426 @@
+/**
+ * Query building utilities for the analytics API
+ * Validates column names against the table schema and produces parameterized SQL
+ */
+
+/**
+ * Error raised when a request references unknown columns or malformed filters.
+ * Routes translate it into a 400 response.
+ */
+export class QueryValidationError extends Error {
+  /**
+   * @param {string} message - Human readable error
+   * @param {Array<string>|null} allowed - Allowed values for the offending parameter
+   */
+  constructor(message, allowed = null) {
+    super(message);
+    this.name = 'QueryValidationError';
+    this.status = 400;
+    this.allowed = allowed;
+  }
+
+  toJSON() {
+    return this.allowed
+      ? { error: this.message, allowed: this.allowed }
+      : { error: this.message };
+  }
+}
+
+/**
+ * Parse filters from query string
+ * @param {string} filtersString - JSON string of filters from req.query.filters
+ * @returns {Object} Parsed filters object (empty when missing)
+ * @throws {QueryValidationError} When the string is not a JSON object
+ */
+export function parseFilters(filtersString) {
+  if (!filtersString) {
+    return {};
+  }
+
+  let filters;
+  try {
+    filters = JSON.parse(filtersString);
+  } catch {
+    throw new QueryValidationError('Invalid filters format');
+  }
+
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    throw new QueryValidationError('Invalid filters format');
+  }
+
+  return filters;
+}
+
+/**
+ * Operators accepted inside an object filter value, e.g. {town: {not_in: ['-']}}
+ */
+export const FILTER_OPERATORS = ['in', 'not_in', 'eq', 'ne', 'is_null', 'like', 'prefix', 'contains', 'from', 'to'];
+
+const PERIOD_PATTERN = /^(\d{4})(?:-(0[1-9]|1[0-2]))?$/;
+
+function isScalar(value) {
+  return typeof value === 'string' || typeof value === 'number';
+}
+
+function scalarList(key, op, value) {
+  if (!Array.isArray(value) || !value.every(isScalar)) {
+    throw new QueryValidationError(`Filter ${key}.${op} expects an array of values`);
+  }
+  return value;
+}
+
+function scalarValue(key, op, value) {
+  if (!isScalar(value)) {
+    throw new QueryValidationError(`Filter ${key}.${op} expects a string or number`);
+  }
+  return value;
+}
+
+/**
+ * Normalize a range bound on a period column to "YYYY-MM"
+ * A bare year expands to its first month for `from` and its last month for `to`.
+ * @param {string} key - Filter key (for error messages)
+ * @param {string} op - "from" or "to"
+ * @param {string} value - "YYYY-MM" or "YYYY"
+ * @returns {string} "YYYY-MM"
+ */
+function periodBound(key, op, value) {
+  const match = typeof value === 'string' && value.match(PERIOD_PATTERN);
+  if (!match) {
+    throw new QueryValidationError(`Filter ${key}.${op} expects "YYYY-MM" or "YYYY"`);
+  }
+  const [, year, month] = match;
+  return `${year}-${month || (op === 'from' ? '01' : '12')}`;
+}
+
+/**
+ * Escape LIKE wildcards so text is matched literally
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text (use with ESCAPE '\\')
+ */
+function escapeLike(value) {
+  return String(value).replace(/[\\%_]/g, char => `\\${char}`);
+}
+
+/**
+ * Turn free text into an FTS5 MATCH expression with prefix matching on every term
+ * Only letters and digits are kept, so user input can never inject FTS syntax.
+ * @param {string} text - Raw search text
+ * @returns {string|null} e.g. '"tan"* "ah"*', or null when nothing searchable remains
+ */
+export function toMatchExpression(text) {
+  const terms = String(text || '').match(/[\p{L}\p{N}]+/gu);
+  if (!terms) return null;
+  return terms.map(term => `"${term}"*`).join(' ');
+}
+
+/**
+ * Encode the position after a row as an opaque keyset cursor
+ * @param {Object} row - Last row of the current page
+ * @param {string} sort - Sort column
+ * @param {string} order - "asc" or "desc"
+ * @returns {string} base64url token
+ */
+export function encodeCursor(row, sort, order) {
+  const payload = { sort, order, value: row[sort] ?? null, id: row.id };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a keyset cursor produced by encodeCursor()
+ * @param {string} token - Cursor from the client
+ * @returns {Object} { sort, order, value, id }
+ * @throws {QueryValidationError} When the token is malformed
+ */
+export function decodeCursor(token) {
+  try {
+    const cursor = JSON.parse(Buffer.from(token, 'base64url').toString('utf-8'));
+    if (cursor && typeof cursor.sort === 'string' && Number.isInteger(cursor.id)) {
+      return cursor;
+    }
+  } catch {
+    // fall through to the validation error below
+  }
+  throw new QueryValidationError('Invalid cursor');
+}
+
+/**
+ * Create a query builder bound to a single table
+ * @param {Database} db - better-sqlite3 database handle
+ * @param {string} table - Table name (trusted, never user input)
+ * @param {Object} options
+ * @param {Object} options.periodColumns - Map of column name to a SQL expression yielding "YYYY-MM",
+ *   used when a `from`/`to` range filter targets that column
+ * @param {Object} options.rollup - Pre-aggregated table ({ table, countColumn }) that can answer
+ *   counts when every referenced column is one of its dimensions
+ * @returns {Object} { table, getColumns, column, where, source, paginate, listRows }
+ */
+export function createQueryBuilder(db, table, { periodColumns = {}, rollup = null } = {}) {
+  let columns = null;
+  let rollupColumns = null;
+
+  /**
+   * Columns that may be used as dimensions or filter keys
+   * @returns {Array<string>} Column names from the table schema, excluding the row id and fingerprint
+   */
+  function getColumns() {
+    if (!columns) {
+      columns = db.prepare(`PRAGMA table_info(${table})`).all()
+        .map(col => col.name)
+        .filter(name => name !== 'id' && name !== 'row_hash');
+    }
+    return columns;
+  }
+
+  /**
+   * Dimensions available in the rollup table (empty when it has not been built)
+   * @returns {Array<string>} Column names
+   */
+  function getRollupColumns() {
+    if (!rollupColumns) {
+      rollupColumns = rollup
+        ? db.prepare(`PRAGMA table_info(${rollup.table})`).all()
+          .map(col => col.name)
+          .filter(name => name !== rollup.countColumn)
+        : [];
+    }
+    return rollupColumns;
+  }
+
+  /**
+   * Validate a column name supplied by the client
+   * @param {string} name - Column name
+   * @param {string} param - Request parameter the name came from (for error messages)
+   * @returns {string} The validated column name, safe to interpolate into SQL
+   * @throws {QueryValidationError} When the column does not exist
+   */
+  function column(name, param = 'column') {
+    const allowed = getColumns();
+    if (typeof name !== 'string' || !allowed.includes(name)) {
+      throw new QueryValidationError(`Invalid ${param}: ${JSON.stringify(name)}`, allowed);
+    }
+    return name;
+  }
+
+  /**
+   * Translate one operator of an object filter into SQL
+   * @param {string} col - Validated column name
+   * @param {string} key - Filter key as supplied (for error messages)
+   * @param {string} op - One of FILTER_OPERATORS
+   * @param {*} value - Operator argument
+   * @returns {Object|null} { clause, params }, or null when the operator is a no-op
+   */
+  function operatorClause(col, key, op, value) {
+    switch (op) {
+      case 'in': {
+        const values = scalarList(key, op, value);
+        if (values.length === 0) return null;
+        return { clause: `${col} IN (${values.map(() => '?').join(', ')})`, params: values };
+      }
+      case 'not_in': {
+        const values = scalarList(key, op, value);
+        if (values.length === 0) return null;
+        return {
+          clause: `(${col} IS NULL OR ${col} NOT IN (${values.map(() => '?').join(', ')}))`,
+          params: values
+        };
+      }
+      case 'eq':
+        return { clause: `${col} = ?`, params: [scalarValue(key, op, value)] };
+      case 'ne':
+        return { clause: `(${col} IS NULL OR ${col} != ?)`, params: [scalarValue(key, op, value)] };
+      case 'is_null':
+        if (typeof value !== 'boolean') {
+          throw new QueryValidationError(`Filter ${key}.is_null expects true or false`);
+        }
+        return { clause: `${col} IS ${value ? '' : 'NOT '}NULL`, params: [] };
+      case 'like':
+        return { clause: `${col} LIKE ?`, params: [scalarValue(key, op, value)] };
+      case 'prefix':
+        return {
+          clause: `${col} LIKE ? ESCAPE '\\'`,
+          params: [`${escapeLike(scalarValue(key, op, value))}%`]
+        };
+      case 'contains': {
+        // Free text, e.g. from a column search: every listed substring must appear, wildcards matched literally
+        const values = Array.isArray(value) ? scalarList(key, op, value) : [scalarValue(key, op, value)];
+        if (values.length === 0) return null;
+        return {
+          clause: `(${values.map(() => `${col} LIKE ? ESCAPE '\\'`).join(' AND ')})`,
+          params: values.map(text => `%${escapeLike(text)}%`)
+        };
+      }
+      case 'from':
+      case 'to': {
+        const comparison = op === 'from' ? '>=' : '<=';
+        if (periodColumns[col]) {
+          return { clause: `${periodColumns[col]} ${comparison} ?`, params: [periodBound(key, op, value)] };
+        }
+        return { clause: `${col} ${comparison} ?`, params: [scalarValue(key, op, value)] };
+      }
+      default:
+        throw new QueryValidationError(`Invalid operator for filter ${key}: ${JSON.stringify(op)}`, FILTER_OPERATORS);
+    }
+  }
+
+  /**
+   * Build a parameterized WHERE clause from filters
+   * Values may be a scalar (=), an array (IN) or an object of FILTER_OPERATORS.
+   * @param {Object} filters - Parsed filters
+   * @param {Array<string|Object>} conditions - Additional trusted SQL conditions to AND together,
+   *   either plain SQL or { clause, params } when they need bound values
+   * @returns {Object} { sql, params } where sql is '' or ' WHERE ...'
+   */
+  function where(filters, conditions = []) {
+    const clauses = [];
+    const params = [];
+
+    const add = (result) => {
+      if (!result) return;
+      clauses.push(result.clause);
+      params.push(...result.params);
+    };
+
+    for (const condition of conditions) {
+      add(typeof condition === 'string' ? { clause: condition, params: [] } : condition);
+    }
+
+    for (const [key, value] of Object.entries(filters || {})) {
+      const col = column(key, 'filter');
+
+      if (Array.isArray(value)) {
+        add(operatorClause(col, key, 'in', value));
+      } else if (isScalar(value)) {
+        add(operatorClause(col, key, 'eq', value));
+      } else if (value && typeof value === 'object') {
+        for (const [op, argument] of Object.entries(value)) {
+          add(operatorClause(col, key, op, argument));
+        }
+      } else {
+        throw new QueryValidationError(`Invalid value for filter: ${key}`);
+      }
+    }
+
+    return {
+      sql: clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  /**
+   * Check whether a filter can be evaluated against the rollup
+   * Range-only filters on a period column are rewritten to the period expression,
+   * so they only need that expression to be a rollup dimension.
+   */
+  function filterFitsRollup(key, value) {
+    const available = getRollupColumns();
+    if (available.includes(key)) return true;
+
+    const isRangeOnly = value && typeof value === 'object' && !Array.isArray(value) &&
+      Object.keys(value).every(op => op === 'from' || op === 'to');
+    return isRangeOnly && available.includes(periodColumns[key]);
+  }
+
+  /**
+   * Pick the table that can answer a count aggregate
+   * Uses the rollup when every dimension and filter key is covered, otherwise the base table.
+   * @param {Array<string>} dimensions - Validated columns the query groups or selects by
+   * @param {Object} filters - Parsed filters
+   * @returns {Object} { table, count } where count is the SQL expression for the row count
+   */
+  function source(dimensions, filters) {
+    const available = getRollupColumns();
+    const fits = available.length > 0 &&
+      dimensions.every(dimension => available.includes(dimension)) &&
+      Object.entries(filters || {}).every(([key, value]) => filterFitsRollup(key, value));
+
+    return fits
+      ? { table: rollup.table, count: `COALESCE(SUM(${rollup.countColumn}), 0)` }
+      : { table, count: 'COUNT(*)' };
+  }
+
+  /**
+   * Resolve sorting and keyset position for row listings
+   * Rows are ordered by the sort column, then by id so the order is total and stable.
+   * SQLite sorts NULLs first ascending and last descending; the keyset condition follows that.
+   * @param {Object} options
+   * @param {string} options.sort - Sort column (defaults to id)
+   * @param {string} options.order - "asc" or "desc"
+   * @param {string} options.cursor - Cursor from a previous page
+   * @returns {Object} { sort, order, orderBy, condition } where condition is null on the first page
+   */
+  function paginate({ sort = 'id', order = 'asc', cursor = null } = {}) {
+    const col = sort === 'id' ? 'id' : column(sort, 'sort');
+    if (order !== 'asc' && order !== 'desc') {
+      throw new QueryValidationError(`Invalid order: ${JSON.stringify(order)}`, ['asc', 'desc']);
+    }
+
+    const direction = order.toUpperCase();
+    const orderBy = col === 'id'
+      ? ` ORDER BY id ${direction}`
+      : ` ORDER BY ${col} ${direction}, id ${direction}`;
+
+    if (!cursor) {
+      return { sort: col, order, orderBy, condition: null };
+    }
+
+    const position = decodeCursor(cursor);
+    if (position.sort !== col || position.order !== order) {
+      throw new QueryValidationError('Cursor does not match the requested sort order');
+    }
+
+    const after = order === 'asc' ? '>' : '<';
+    let condition;
+    if (col === 'id') {
+      condition = { clause: `id ${after} ?`, params: [position.id] };
+    } else if (position.value === null) {
+      condition = order === 'asc'
+        ? { clause: `((${col} IS NULL AND id > ?) OR ${col} IS NOT NULL)`, params: [position.id] }
+        : { clause: `(${col} IS NULL AND id < ?)`, params: [position.id] };
+    } else {
+      const tieBreak = `${col} ${after} ? OR (${col} = ? AND id ${after} ?)`;
+      condition = {
+        clause: order === 'asc' ? `(${tieBreak})` : `(${tieBreak} OR ${col} IS NULL)`,
+        params: [position.value, position.value, position.id]
+      };
+    }
+
+    return { sort: col, order, orderBy, condition };
+  }
+
+  /**
+   * Fetch one page of rows for a listing
+   * Pass `cursor` from a previous page for keyset pagination; without one, `page` falls back to OFFSET.
+   * Columns are listed explicitly so internal ones such as row_hash stay out of responses.
+   * @param {Object} options
+   * @param {Object} options.filters - Parsed filters
+   * @param {string} options.sort - Sort column (defaults to id)
+   * @param {string} options.order - "asc" or "desc"
+   * @param {string} options.cursor - Cursor from a previous page
+   * @param {number} options.page - 1-based page number, used when there is no cursor
+   * @param {number} options.limit - Rows per page
+   * @returns {Object} { rows, sort, order, hasMore, nextCursor }
+   */
+  function listRows({ filters = {}, sort, order, cursor = null, page = 1, limit = 100 } = {}) {
+    const position = paginate({ sort, order, cursor });
+    const rowWhere = where(filters, position.condition ? [position.condition] : []);
+    const selected = ['id', ...getColumns()].join(', ');
+
+    // Fetch one extra row to know whether another page follows
+    const rows = db.prepare(`SELECT ${selected} FROM ${table}${rowWhere.sql}${position.orderBy} LIMIT ? OFFSET ?`)
+      .all(...rowWhere.params, limit + 1, cursor ? 0 : (page - 1) * limit);
+
+    const hasMore = rows.length > limit;
+    const pageRows = hasMore ? rows.slice(0, limit) : rows;
+
+    return {
+      rows: pageRows,
+      sort: position.sort,
+      order: position.order,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(pageRows[pageRows.length - 1], position.sort, position.order) : null
+    };
+  }
+
+  return { table, getColumns, column, where, source, paginate, listRows };
+}
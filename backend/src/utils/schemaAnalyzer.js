@@ -1,94 +1,244 @@
-export function analyzeSchema(data) {
-  if (!data || data.length === 0) {
-    return { columns: [], temporalColumn: null };
-  }
+import { parseTransactionDate } from './dateParser.js';
 
-  const columns = [];
-  const sampleRow = data[0];
-  const columnNames = Object.keys(sampleRow).filter(key => key !== '_id');
+// Values the CEA feed uses in place of a missing value
+const PLACEHOLDER_VALUES = new Set(['-']);
 
-  for (const columnName of columnNames) {
-    const columnData = data.map(row => row[columnName]).filter(val => val !== null && val !== undefined && val !== '');
+// Columns with at most this many distinct values are treated as categorical
+const CATEGORICAL_MAX_UNIQUE = 100;
 
-    if (columnData.length === 0) {
-      continue;
-    }
+// Distinct values tracked per column; beyond this, unique counts and top values are lower bounds
+const MAX_TRACKED_VALUES = 50000;
 
-    const column = {
-      name: columnName,
-      type: inferType(columnData),
-      stats: calculateStats(columnData, columnName)
-    };
+// Share of present values that must match a type for it to be inferred
+const TYPE_THRESHOLD = 0.9;
 
-    columns.push(column);
-  }
+const TOP_VALUES_LIMIT = 10;
 
-  // Try to identify temporal column
-  const temporalColumn = columns.find(col =>
-    col.name.toLowerCase().includes('date') ||
-    col.name.toLowerCase().includes('time') ||
-    col.name.toLowerCase().includes('year')
-  );
+// Compact codes mixing letters and digits, e.g. registration numbers like "R123456A"
+const IDENTIFIER_PATTERN = /^(?=[^\s]*[A-Za-z])(?=[^\s]*\d)[A-Za-z0-9_-]+$/;
 
-  return {
-    columns,
-    temporalColumn: temporalColumn ? temporalColumn.name : null
-  };
-}
+// Zero-padded digit strings such as district "01" or postal codes are codes, not quantities
+const ZERO_PADDED_PATTERN = /^0\d+$/;
 
-function inferType(values) {
-  const sample = values.slice(0, 100);
+/**
+ * Read a value as a quantity
+ * @returns {number|null} The number, or null for non-numeric and zero-padded values
+ */
+function numericValue(value) {
+  if (typeof value === 'string' && ZERO_PADDED_PATTERN.test(value)) return null;
+  const num = Number(value);
+  return isNaN(num) ? null : num;
+}
 
-  let numericCount = 0;
-  let textCount = 0;
-
-  for (const val of sample) {
-    const num = Number(val);
-    if (!isNaN(num) && val !== '' && val !== null) {
-      numericCount++;
-    } else if (typeof val === 'string') {
-      textCount++;
-    }
+export function analyzeSchema(data) {
+  if (!data || data.length === 0) {
+    return { columns: [], temporalColumn: null };
   }
 
-  return numericCount > textCount ? 'numeric' : 'text';
+  const accumulator = createSchemaAccumulator();
+  for (const row of data) {
+    accumulator.add(row);
+  }
+  return accumulator.finish();
 }
 
-function calculateStats(values, columnName) {
-  const nonNullValues = values.filter(v => v !== null && v !== undefined && v !== '');
-  const uniqueValues = new Set(nonNullValues);
+/**
+ * Incremental schema analysis, for callers that see rows one at a time
+ * @returns {Object} { add(row), finish() } where finish() returns { columns, temporalColumn }
+ */
+export function createSchemaAccumulator() {
+  const columns = new Map();
 
-  const stats = {
-    count: nonNullValues.length,
-    nullCount: values.length - nonNullValues.length,
-    unique: uniqueValues.size
+  return {
+    add(row) {
+      for (const [name, value] of Object.entries(row)) {
+        if (name === '_id') continue;
+        if (!columns.has(name)) {
+          columns.set(name, createColumnAccumulator(name));
+        }
+        columns.get(name).add(value);
+      }
+    },
+
+    finish() {
+      const analyzed = [...columns.values()].map(column => column.finish());
+
+      // Prefer a column that actually holds dates, then fall back to the name
+      const temporalColumn =
+        analyzed.find(col => col.type === 'datetime') ||
+        analyzed.find(col =>
+          col.name.toLowerCase().includes('date') ||
+          col.name.toLowerCase().includes('time') ||
+          col.name.toLowerCase().includes('year')
+        );
+
+      return {
+        columns: analyzed,
+        temporalColumn: temporalColumn ? temporalColumn.name : null
+      };
+    }
   };
+}
 
-  // Try numeric statistics
-  const numericValues = nonNullValues.map(v => Number(v)).filter(n => !isNaN(n));
+function createColumnAccumulator(name) {
+  let total = 0;
+  let nullCount = 0;
+  let placeholderCount = 0;
+  let numericCount = 0;
+  let datetimeCount = 0;
+  let identifierCount = 0;
+  let zeroPaddedCount = 0;
+  let capped = false;
+  const valueCounts = new Map();
+
+  // Running numeric statistics (Welford) so values never need to be held in memory
+  let mean = 0;
+  let m2 = 0;
+  let sum = 0;
+  let min = Infinity;
+  let max = -Infinity;
+
+  // Earliest and latest dates, keyed by their ISO form
+  let minDate = null;
+  let maxDate = null;
 
-  if (numericValues.length > nonNullValues.length * 0.8) {
-    // Mostly numeric
-    numericValues.sort((a, b) => a - b);
+  return {
+    add(value) {
+      total++;
+
+      if (value === null || value === undefined || value === '') {
+        nullCount++;
+        return;
+      }
+
+      if (PLACEHOLDER_VALUES.has(value)) {
+        placeholderCount++;
+        return;
+      }
+
+      if (valueCounts.has(value)) {
+        valueCounts.set(value, valueCounts.get(value) + 1);
+      } else if (valueCounts.size < MAX_TRACKED_VALUES) {
+        valueCounts.set(value, 1);
+      } else {
+        capped = true;
+      }
+
+      const num = numericValue(value);
+      if (num !== null) {
+        numericCount++;
+        sum += num;
+        const delta = num - mean;
+        mean += delta / numericCount;
+        m2 += delta * (num - mean);
+        if (num < min) min = num;
+        if (num > max) max = num;
+      }
+
+      const isoDate = typeof value === 'string' ? parseTransactionDate(value) : null;
+      if (isoDate) {
+        datetimeCount++;
+        if (!minDate || isoDate < minDate.iso) minDate = { iso: isoDate, value };
+        if (!maxDate || isoDate > maxDate.iso) maxDate = { iso: isoDate, value };
+      }
+
+      if (typeof value === 'string' && ZERO_PADDED_PATTERN.test(value)) {
+        zeroPaddedCount++;
+        identifierCount++;
+      } else if (typeof value === 'string' && IDENTIFIER_PATTERN.test(value)) {
+        identifierCount++;
+      }
+    },
+
+    finish() {
+      const count = total - nullCount - placeholderCount;
+      const type = inferType({
+        count,
+        numericCount,
+        datetimeCount,
+        identifierCount,
+        zeroPaddedCount,
+        unique: valueCounts.size,
+        capped
+      });
+
+      const stats = {
+        count,
+        nullCount,
+        placeholderCount,
+        nullRate: rate(nullCount, total),
+        placeholderRate: rate(placeholderCount, total),
+        unique: valueCounts.size,
+        uniqueCapped: capped,
+        cardinality: rate(valueCounts.size, count),
+        topValues: topValues(valueCounts, count)
+      };
+
+      // Only quantities get numeric statistics; identifiers and codes that happen to be digits do not
+      if (type === 'numeric') {
+        stats.min = min;
+        stats.max = max;
+        stats.mean = mean;
+        stats.median = capped ? null : median(valueCounts, numericCount);
+        stats.stdDev = Math.sqrt(m2 / numericCount);
+        stats.sum = sum;
+      }
+
+      if (type === 'datetime') {
+        stats.min = minDate?.value ?? null;
+        stats.max = maxDate?.value ?? null;
+      }
+
+      return { name, type, stats };
+    }
+  };
+}
 
-    const sum = numericValues.reduce((acc, val) => acc + val, 0);
-    const mean = sum / numericValues.length;
+/**
+ * Pick a column type from the shares of values matching each kind
+ * Dates and numbers win first, then identifiers, then low-cardinality categories.
+ * Any zero-padded value marks the column as codes, so it is never numeric.
+ */
+function inferType({ count, numericCount, datetimeCount, identifierCount, zeroPaddedCount, unique, capped }) {
+  if (count === 0) return 'text';
+  if (datetimeCount >= count * TYPE_THRESHOLD) return 'datetime';
+  if (zeroPaddedCount === 0 && numericCount >= count * TYPE_THRESHOLD) return 'numeric';
+  if (identifierCount >= count * TYPE_THRESHOLD) return 'identifier';
+  if (!capped && unique <= CATEGORICAL_MAX_UNIQUE) return 'categorical';
+  return 'text';
+}
 
-    const median = numericValues.length % 2 === 0
-      ? (numericValues[numericValues.length / 2 - 1] + numericValues[numericValues.length / 2]) / 2
-      : numericValues[Math.floor(numericValues.length / 2)];
+function rate(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 10000) / 10000 : 0;
+}
 
-    const squaredDiffs = numericValues.map(val => Math.pow(val - mean, 2));
-    const variance = squaredDiffs.reduce((acc, val) => acc + val, 0) / numericValues.length;
-    const stdDev = Math.sqrt(variance);
+function topValues(valueCounts, count) {
+  return [...valueCounts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, TOP_VALUES_LIMIT)
+    .map(([value, valueCount]) => ({
+      value,
+      count: valueCount,
+      percentage: count > 0 ? Math.round((valueCount / count) * 10000) / 100 : 0
+    }));
+}
 
-    stats.min = numericValues[0];
-    stats.max = numericValues[numericValues.length - 1];
-    stats.mean = mean;
-    stats.median = median;
-    stats.stdDev = stdDev;
-    stats.sum = sum;
+function median(valueCounts, count) {
+  const sorted = [...valueCounts.entries()]
+    .map(([value, valueCount]) => [numericValue(value), valueCount])
+    .filter(([num]) => num !== null)
+    .sort((a, b) => a[0] - b[0]);
+
+  const lower = Math.floor((count - 1) / 2);
+  const upper = Math.floor(count / 2);
+  let seen = 0;
+  let lowerValue = null;
+
+  for (const [num, valueCount] of sorted) {
+    const next = seen + valueCount;
+    if (lowerValue === null && lower < next) lowerValue = num;
+    if (upper < next) return (lowerValue + num) / 2;
+    seen = next;
   }
-
-  return stats;
+  return lowerValue;
 }
@@ -0,0 +1,264 @@
+/**
+ * Staging and table synchronization for the pipeline
+ * Source rows are staged in a temporary table, then either replace the live table or are diffed into it
+ * by fingerprint; every build's per-period changes are appended to ingest_log.
+ */
+
+import { createHash } from 'crypto';
+import logger from './logger.js';
+import { DERIVED_TRANSFORMS } from './datasetConfig.js';
+
+// Rows are written to SQLite (and the optional JSON copy) in batches of this size
+export const BATCH_SIZE = 10000;
+
+// Fingerprint of a row's source values; incremental builds diff rows by it
+const FINGERPRINT_COLUMN = 'row_hash';
+
+function fingerprint(record, columnNames) {
+  const hash = createHash('sha1');
+  for (const name of columnNames) {
+    // Unit separator keeps ("ab", "c") and ("a", "bc") apart
+    hash.update(`${record[name] || ''}\u001f`);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Create a table (or temporary staging table) shaped by the dataset config
+ */
+function createDataTable(db, name, config, { temporary = false } = {}) {
+  const columnDefinitions = [
+    ...Object.keys(config.columns).map(column => `${column} TEXT`),
+    ...Object.entries(config.derived).map(([column, { transform }]) => `${column} ${DERIVED_TRANSFORMS[transform].type}`),
+    `${FINGERPRINT_COLUMN} TEXT`
+  ];
+
+  db.exec(`
+    CREATE ${temporary ? 'TEMP ' : ''}TABLE ${name} (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      ${columnDefinitions.join(',\n      ')}
+    );
+  `);
+}
+
+/**
+ * Stream rows into a temporary staging table in batched transactions
+ * Both build modes work from the staged copy, so a source that fails halfway leaves the live table untouched.
+ * @param {AsyncIterable<Object>} rows - Rows keyed by table column name
+ * @returns {Promise<number>} Number of rows staged
+ */
+export async function stageRows(db, rows, config) {
+  const sourceColumns = Object.keys(config.columns);
+  const derived = Object.entries(config.derived);
+  const columnNames = [...sourceColumns, ...derived.map(([column]) => column), FINGERPRINT_COLUMN];
+
+  logger.log('Staging rows...');
+  db.exec('DROP TABLE IF EXISTS temp.staging');
+  createDataTable(db, 'staging', config, { temporary: true });
+
+  const insert = db.prepare(`
+    INSERT INTO temp.staging (${columnNames.join(', ')})
+    VALUES (${columnNames.map(() => '?').join(', ')})
+  `);
+
+  const insertMany = db.transaction((batch) => {
+    for (const record of batch) {
+      insert.run(
+        ...sourceColumns.map(column => record[column] || null),
+        ...derived.map(([, { from, transform }]) => DERIVED_TRANSFORMS[transform].apply(record[from])),
+        fingerprint(record, sourceColumns)
+      );
+    }
+  });
+
+  let batch = [];
+  let count = 0;
+  for await (const row of rows) {
+    batch.push(row);
+    if (batch.length === BATCH_SIZE) {
+      insertMany(batch);
+      count += batch.length;
+      batch = [];
+      logger.log(`Staged ${count} records`);
+    }
+  }
+  insertMany(batch);
+  count += batch.length;
+
+  return count;
+}
+
+// Rows that exactly repeat an earlier staged row
+export function countStagedDuplicates(db) {
+  const { duplicates } = db.prepare(`
+    SELECT COALESCE(SUM(copies - 1), 0) as duplicates
+    FROM (SELECT COUNT(*) as copies FROM temp.staging GROUP BY ${FINGERPRINT_COLUMN} HAVING copies > 1)
+  `).get();
+  return duplicates;
+}
+
+// Columns copied from the staging table into the live table
+function stagedColumns(config) {
+  return [...Object.keys(config.columns), ...Object.keys(config.derived), FINGERPRINT_COLUMN].join(', ');
+}
+
+/**
+ * Whether an existing table can be updated in place
+ * Any difference in its columns (a config change, or a database built before fingerprints) needs a full rebuild.
+ */
+export function canUpdateInPlace(db, config) {
+  const existing = db.prepare(`PRAGMA table_info(${config.table})`).all().map(col => col.name);
+  const expected = ['id', ...Object.keys(config.columns), ...Object.keys(config.derived), FINGERPRINT_COLUMN];
+  return existing.length === expected.length && expected.every(name => existing.includes(name));
+}
+
+// Derived "YYYY-MM" column that changes are reported under, if the dataset has one
+function periodColumnOf(config) {
+  const entry = Object.entries(config.derived).find(([, { transform }]) => transform === 'period');
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Count inserted and deleted rows per period
+ * @param {string} insertedSql - SELECT yielding a `period` for each inserted row
+ * @param {string} deletedSql - SELECT yielding a `period` for each deleted row
+ * @returns {Array<Object>} [{ period, inserted, deleted }] ordered by period
+ */
+function changesByPeriod(db, insertedSql, deletedSql) {
+  return db.prepare(`
+    SELECT period, SUM(inserted) as inserted, SUM(deleted) as deleted
+    FROM (
+      SELECT period, 1 as inserted, 0 as deleted FROM (${insertedSql})
+      UNION ALL
+      SELECT period, 0 as inserted, 1 as deleted FROM (${deletedSql})
+    )
+    GROUP BY period
+    ORDER BY period
+  `).all();
+}
+
+/**
+ * Replace the table with the staged rows
+ * @returns {Array<Object>} Rows inserted per period; a rebuild does not diff, so nothing counts as deleted
+ */
+export function rebuildTable(db, config) {
+  const { table } = config;
+  const period = periodColumnOf(config);
+  const periodExpression = period || 'NULL';
+
+  logger.log('Creating table...');
+  const columnNames = stagedColumns(config);
+  db.transaction(() => {
+    db.exec(`DROP TABLE IF EXISTS main.${table}`);
+    createDataTable(db, `main.${table}`, config);
+
+    logger.log('Inserting data...');
+    db.exec(`INSERT INTO main.${table} (${columnNames}) SELECT ${columnNames} FROM temp.staging ORDER BY id`);
+  })();
+
+  // Indexes are cheaper to build once the rows are in
+  for (const column of config.indexes) {
+    db.exec(`CREATE INDEX idx_${column} ON ${table}(${column})`);
+  }
+  db.exec('DROP TABLE temp.staging');
+
+  return db.prepare(`
+    SELECT ${periodExpression} as period, COUNT(*) as inserted, 0 as deleted
+    FROM ${table}
+    GROUP BY 1
+    ORDER BY 1
+  `).all();
+}
+
+/**
+ * Bring the table in line with the staged rows, touching only rows that changed
+ * Rows are compared as a multiset of fingerprints: the nth copy of a fingerprint in the new data matches
+ * the nth copy already stored, so exact duplicates are kept, added and removed one for one.
+ * @returns {Array<Object>} Changes per period
+ */
+export function updateTable(db, config) {
+  const { table } = config;
+  const period = periodColumnOf(config);
+  const periodExpression = period || 'NULL';
+
+  logger.log('Comparing with stored rows...');
+  db.exec(`
+    DROP TABLE IF EXISTS temp.current_keys;
+    DROP TABLE IF EXISTS temp.incoming_keys;
+    CREATE TEMP TABLE current_keys AS
+      SELECT id, ${FINGERPRINT_COLUMN}, ROW_NUMBER() OVER (PARTITION BY ${FINGERPRINT_COLUMN} ORDER BY id) as n
+      FROM main.${table};
+    CREATE TEMP TABLE incoming_keys AS
+      SELECT id, ${FINGERPRINT_COLUMN}, ROW_NUMBER() OVER (PARTITION BY ${FINGERPRINT_COLUMN} ORDER BY id) as n
+      FROM temp.staging;
+    CREATE INDEX temp.idx_current_keys ON current_keys(${FINGERPRINT_COLUMN}, n);
+    CREATE INDEX temp.idx_incoming_keys ON incoming_keys(${FINGERPRINT_COLUMN}, n);
+  `);
+
+  const unmatched = (from, other) => `
+    SELECT id FROM temp.${from} k
+    WHERE NOT EXISTS (
+      SELECT 1 FROM temp.${other} o
+      WHERE o.${FINGERPRINT_COLUMN} = k.${FINGERPRINT_COLUMN} AND o.n = k.n
+    )
+  `;
+  const addedIds = unmatched('incoming_keys', 'current_keys');
+  const removedIds = unmatched('current_keys', 'incoming_keys');
+
+  const changes = changesByPeriod(
+    db,
+    `SELECT ${periodExpression} as period FROM temp.staging WHERE id IN (${addedIds})`,
+    `SELECT ${periodExpression} as period FROM main.${table} WHERE id IN (${removedIds})`
+  );
+
+  // New rows get fresh ids after the existing ones, so appended months sort last by id
+  const columnNames = stagedColumns(config);
+  db.transaction(() => {
+    db.exec(`DELETE FROM main.${table} WHERE id IN (${removedIds})`);
+    db.exec(`
+      INSERT INTO main.${table} (${columnNames})
+        SELECT ${columnNames} FROM temp.staging WHERE id IN (${addedIds}) ORDER BY id
+    `);
+  })();
+
+  db.exec(`
+    DROP TABLE temp.staging;
+    DROP TABLE temp.current_keys;
+    DROP TABLE temp.incoming_keys;
+  `);
+
+  return changes;
+}
+
+// Append-only history of what each build changed, one row per touched period
+export function recordIngest(db, mode, changes) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS ingest_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      ingested_at TEXT NOT NULL,
+      mode TEXT NOT NULL,
+      period TEXT,
+      inserted INTEGER NOT NULL,
+      deleted INTEGER NOT NULL
+    );
+  `);
+
+  const ingestedAt = new Date().toISOString();
+  const insert = db.prepare(`
+    INSERT INTO ingest_log (ingested_at, mode, period, inserted, deleted)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+  db.transaction(() => {
+    for (const { period, inserted, deleted } of changes) {
+      insert.run(ingestedAt, mode, period, inserted, deleted);
+    }
+  })();
+
+  return {
+    mode,
+    ingestedAt,
+    inserted: changes.reduce((sum, change) => sum + change.inserted, 0),
+    deleted: changes.reduce((sum, change) => sum + change.deleted, 0),
+    periods: changes.map(change => change.period).filter(Boolean)
+  };
+}
@@ -1,12 +1,197 @@
-export function generateVisualizationRecommendations(schema, data) {
-  // Only return table visualization
-  return [{
+/**
+ * Visualization recommendations scored from the analyzed schema
+ * Each recommendation names the columns to aggregate; the frontend fetches the data
+ * from the analytics endpoints, so recommendations stay small and never embed rows.
+ */
+
+// Cardinality bands that keep each chart readable
+const PIE_MAX_UNIQUE = 6;
+const BAR_MAX_UNIQUE = 30;
+const HEATMAP_MAX_UNIQUE = 15;
+const HEATMAP_MAX_CELLS = 150;
+const GROUPED_LINE_MAX_UNIQUE = 6;
+
+// Charts beyond this many are rarely looked at; the table is always appended
+const MAX_CHARTS = 8;
+
+// Each further chart of an already-picked type keeps this share of its score, so the dashboard mixes types
+const REPEAT_PENALTY = 0.7;
+
+function label(columnName) {
+  return columnName
+    .split('_')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Share of rows with a real value (neither empty nor a placeholder)
+ */
+function completeness(column) {
+  const { nullRate = 0, placeholderRate = 0 } = column.stats || {};
+  return Math.max(0, 1 - nullRate - placeholderRate);
+}
+
+/**
+ * Share of the most common value; near 1 means the column barely varies
+ */
+function dominance(column) {
+  return (column.stats?.topValues?.[0]?.percentage ?? 0) / 100;
+}
+
+function round(score) {
+  return Math.round(score * 10) / 10;
+}
+
+function lineCandidates(schema, categoricals) {
+  const temporal = schema.columns.find(col => col.name === schema.temporalColumn);
+  if (!temporal || temporal.type !== 'datetime') return [];
+
+  const candidates = [{
+    type: 'line',
+    score: 100 * completeness(temporal),
+    config: {
+      temporalColumn: temporal.name,
+      period: 'month',
+      groupBy: null,
+      title: 'Volume Over Time'
+    },
+    reasoning: `${label(temporal.name)} holds dates, so volume over time is the headline view`
+  }];
+
+  for (const column of categoricals) {
+    if (column.stats.unique < 2 || column.stats.unique > GROUPED_LINE_MAX_UNIQUE) continue;
+    candidates.push({
+      type: 'line',
+      score: 75 * completeness(temporal) * completeness(column) * (1 - dominance(column) / 2),
+      config: {
+        temporalColumn: temporal.name,
+        period: 'month',
+        groupBy: column.name,
+        title: `Volume Over Time by ${label(column.name)}`
+      },
+      reasoning: `${label(column.name)} has ${column.stats.unique} values, few enough to compare as separate lines`
+    });
+  }
+
+  return candidates;
+}
+
+function categoryCandidates(categoricals) {
+  const candidates = [];
+
+  for (const column of categoricals) {
+    const { unique } = column.stats;
+    if (unique < 2) continue;
+
+    const quality = completeness(column) * (1 - dominance(column) / 2);
+
+    if (unique <= PIE_MAX_UNIQUE) {
+      candidates.push({
+        type: 'pie',
+        score: 70 * quality,
+        config: { dimension: column.name, title: `${label(column.name)} Share` },
+        reasoning: `${label(column.name)} has ${unique} categories, small enough to read as parts of a whole`
+      });
+    }
+
+    if (unique <= BAR_MAX_UNIQUE) {
+      // Bars suit mid-sized categoricals best; pies already cover the smallest ones
+      const fit = unique > PIE_MAX_UNIQUE ? 1 : 0.8;
+      candidates.push({
+        type: 'bar',
+        score: 65 * quality * fit,
+        config: { dimension: column.name, title: `Volume by ${label(column.name)}` },
+        reasoning: `${label(column.name)} has ${unique} categories, compared side by side as bars`
+      });
+    }
+  }
+
+  return candidates;
+}
+
+function heatmapCandidates(categoricals) {
+  const candidates = [];
+  const eligible = categoricals.filter(col =>
+    col.stats.unique >= 2 && col.stats.unique <= HEATMAP_MAX_UNIQUE
+  );
+
+  for (let i = 0; i < eligible.length; i++) {
+    for (let j = i + 1; j < eligible.length; j++) {
+      const [rows, cols] = [eligible[i], eligible[j]];
+      if (rows.stats.unique * cols.stats.unique > HEATMAP_MAX_CELLS) continue;
+
+      candidates.push({
+        type: 'heatmap',
+        score: 55 * completeness(rows) * completeness(cols),
+        config: {
+          dimensions: [rows.name, cols.name],
+          title: `${label(rows.name)} by ${label(cols.name)}`
+        },
+        reasoning: `Cross-tabulating two categoricals shows how ${label(rows.name)} and ${label(cols.name)} combine`
+      });
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Greedily pick the best candidates, discounting types that were already picked
+ */
+function pickDiverse(candidates, limit) {
+  const remaining = candidates.filter(candidate => candidate.score > 0);
+  const typeCounts = {};
+  const picked = [];
+
+  while (picked.length < limit && remaining.length > 0) {
+    let bestIndex = 0;
+    let bestScore = -1;
+
+    remaining.forEach((candidate, index) => {
+      const score = candidate.score * Math.pow(REPEAT_PENALTY, typeCounts[candidate.type] || 0);
+      if (score > bestScore) {
+        bestIndex = index;
+        bestScore = score;
+      }
+    });
+
+    const [best] = remaining.splice(bestIndex, 1);
+    typeCounts[best.type] = (typeCounts[best.type] || 0) + 1;
+    picked.push({ ...best, score: bestScore });
+  }
+
+  return picked;
+}
+
+/**
+ * Score chart candidates for a dataset
+ * @param {Object} schema - Output of analyzeSchema()
+ * @returns {Array} Recommendations ordered by priority: { type, priority, score, config, reasoning }
+ */
+export function generateVisualizationRecommendations(schema) {
+  const columns = schema?.columns || [];
+  const categoricals = columns.filter(col => col.type === 'categorical' && col.stats);
+
+  const charts = pickDiverse([
+    ...lineCandidates({ ...schema, columns }, categoricals),
+    ...categoryCandidates(categoricals),
+    ...heatmapCandidates(categoricals)
+  ], MAX_CHARTS);
+
+  const table = {
     type: 'table',
-    priority: 1,
+    score: 10,
     config: {
-      columns: schema.columns.map(col => col.name),
+      columns: columns.map(col => col.name),
       title: 'Data Table'
     },
     reasoning: 'Detailed view of all data'
-  }];
+  };
+
+  return [...charts, table].map((recommendation, index) => ({
+    ...recommendation,
+    score: round(recommendation.score),
+    priority: index + 1
+  }));
 }
@@ -0,0 +1,163 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { createQueryBuilder, QueryValidationError } from '../src/utils/queryBuilder.js';
+import { agentCohorts, marketConcentration } from '../src/utils/agentMetrics.js';
+
+// [reg_num, period, count, property_type]
+function setup(activity) {
+  const db = new Database(':memory:');
+  db.exec(`
+    CREATE TABLE transactions (
+      id INTEGER PRIMARY KEY,
+      salesperson_reg_num TEXT,
+      property_type TEXT,
+      period TEXT
+    )
+  `);
+  const insert = db.prepare('INSERT INTO transactions (salesperson_reg_num, property_type, period) VALUES (?, ?, ?)');
+  for (const [regNum, period, count, propertyType = 'HDB'] of activity) {
+    for (let i = 0; i < count; i++) insert.run(regNum, propertyType, period);
+  }
+
+  const builder = createQueryBuilder(db, 'transactions', { periodColumns: { period: 'period' } });
+  return { db, builder };
+}
+
+describe('marketConcentration', () => {
+  // January: shares 40/30/20/10%. February: three equal agents. Unattributed and undated rows are ignored.
+  const ACTIVITY = [
+    ['A', '2024-01', 4], ['B', '2024-01', 3], ['C', '2024-01', 2], ['D', '2024-01', 1],
+    ['A', '2024-02', 1], ['B', '2024-02', 1], ['C', '2024-02', 1, 'CONDO'],
+    ['-', '2024-01', 5], [null, '2024-01', 5], ['', '2024-02', 5], ['A', null, 5]
+  ];
+
+  it('computes monthly HHI, Gini and shares', () => {
+    const { db, builder } = setup(ACTIVITY);
+    const [january, february] = marketConcentration(db, builder, {}, 'month');
+
+    assert.deepEqual(january, {
+      period: '2024-01',
+      transactions: 10,
+      agents: 4,
+      hhi: 3000,
+      gini: 0.25,
+      top1Share: 40,
+      top10Share: 100,
+      top100Share: 100,
+      medianAgentShare: 25
+    });
+    assert.deepEqual(february, {
+      period: '2024-02',
+      transactions: 3,
+      agents: 3,
+      hhi: 3333.3,
+      gini: 0,
+      top1Share: 33.33,
+      top10Share: 100,
+      top100Share: 100,
+      medianAgentShare: 33.3333
+    });
+  });
+
+  it('pools a year across its months', () => {
+    const { db, builder } = setup(ACTIVITY);
+    // A 5, B 4, C 3, D 1 of 13
+    assert.deepEqual(marketConcentration(db, builder, {}, 'year'), [{
+      period: '2024',
+      transactions: 13,
+      agents: 4,
+      hhi: 3017.8,
+      gini: 0.25,
+      top1Share: 38.46,
+      top10Share: 100,
+      top100Share: 100,
+      medianAgentShare: 26.9231
+    }]);
+  });
+
+  it('counts exactly ten agents in the top-10 share', () => {
+    // Twelve agents: the first has 2 transactions, the rest 1 each, 13 in all
+    const activity = Array.from({ length: 12 }, (_, i) => [`R${String(i).padStart(2, '0')}`, '2024-03', i === 0 ? 2 : 1]);
+    const { db, builder } = setup(activity);
+    const [march] = marketConcentration(db, builder, {});
+
+    assert.equal(march.agents, 12);
+    assert.equal(march.top1Share, 15.38);
+    assert.equal(march.top10Share, 84.62);
+    assert.equal(march.top100Share, 100);
+    // Median of an even count averages the 6th and 7th busiest: both 1 of 13
+    assert.equal(march.medianAgentShare, 7.6923);
+  });
+
+  it('applies filters before computing shares', () => {
+    const { db, builder } = setup(ACTIVITY);
+    const periods = marketConcentration(db, builder, { property_type: ['CONDO'] });
+
+    assert.deepEqual(periods.map(row => [row.period, row.agents, row.hhi, row.top1Share]), [['2024-02', 1, 10000, 100]]);
+  });
+
+  it('rejects an unknown period', () => {
+    const { db, builder } = setup(ACTIVITY);
+    assert.throws(() => marketConcentration(db, builder, {}, 'week'), error => {
+      assert.ok(error instanceof QueryValidationError);
+      assert.deepEqual(error.allowed, ['month', 'year']);
+      return true;
+    });
+  });
+});
+
+describe('agentCohorts', () => {
+  // E and F start in December; F never returns. A is active throughout, B skips February,
+  // C comes and goes in February and D first appears in the last month.
+  const ACTIVITY = [
+    ['E', '2023-12', 1], ['F', '2023-12', 1],
+    ['A', '2024-01', 2], ['B', '2024-01', 1],
+    ['A', '2024-02', 1], ['C', '2024-02', 1], ['E', '2024-02', 1, 'CONDO'],
+    ['A', '2024-03', 1], ['B', '2024-03', 3], ['D', '2024-03', 2],
+    ['-', '2024-02', 4], [null, '2024-03', 4], ['G', null, 4]
+  ];
+
+  it('classifies agents as new, active, dormant and exited each month', () => {
+    const { db, builder } = setup(ACTIVITY);
+    const { months } = agentCohorts(db, builder, {});
+
+    assert.deepEqual(months, [
+      { period: '2023-12', new: 2, active: 2, dormant: 0, exited: 1 },
+      // E sits out January
+      { period: '2024-01', new: 2, active: 2, dormant: 1, exited: 0 },
+      // B sits out February; C and E make their last transactions
+      { period: '2024-02', new: 1, active: 3, dormant: 1, exited: 2 },
+      // Nobody has exited in the last month, even though it is everyone's latest
+      { period: '2024-03', new: 1, active: 3, dormant: 0, exited: null }
+    ]);
+  });
+
+  it('counts a single-month agent as new and active in that month only', () => {
+    const { db, builder } = setup([['A', '2024-01', 3]]);
+    assert.deepEqual(agentCohorts(db, builder, {}).months, [
+      { period: '2024-01', new: 1, active: 1, dormant: 0, exited: null }
+    ]);
+  });
+
+  it('tracks cohort retention by the year agents started', () => {
+    const { db, builder } = setup(ACTIVITY);
+    assert.deepEqual(agentCohorts(db, builder, {}).retention, [
+      {
+        cohort: '2023',
+        agents: 2,
+        years: [{ year: '2023', agents: 2, rate: 100 }, { year: '2024', agents: 1, rate: 50 }]
+      },
+      { cohort: '2024', agents: 4, years: [{ year: '2024', agents: 4, rate: 100 }] }
+    ]);
+  });
+
+  it('measures tenure under the filters', () => {
+    const { db, builder } = setup(ACTIVITY);
+    const { months, retention } = agentCohorts(db, builder, { property_type: { not_in: ['CONDO'] } });
+
+    // Without the CONDO deal E never returns, so both December agents exit there
+    assert.deepEqual(months[0], { period: '2023-12', new: 2, active: 2, dormant: 0, exited: 2 });
+    assert.deepEqual(retention[0].years, [{ year: '2023', agents: 2, rate: 100 }]);
+  });
+});
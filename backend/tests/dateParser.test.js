@@ -0,0 +1,108 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  listPeriods,
+  parsePeriodRange,
+  parseTransactionDate,
+  previousPeriodRange
+} from '../src/utils/dateParser.js';
+
+describe('parseTransactionDate', () => {
+  it('parses MMM-YYYY to the first of the month', () => {
+    assert.equal(parseTransactionDate('OCT-2017'), '2017-10-01');
+    assert.equal(parseTransactionDate('JAN-2025'), '2025-01-01');
+  });
+
+  it('returns null for placeholders and empty values', () => {
+    assert.equal(parseTransactionDate('-'), null);
+    assert.equal(parseTransactionDate(''), null);
+    assert.equal(parseTransactionDate(null), null);
+  });
+
+  it('rejects years that are not four digits', () => {
+    for (const value of ['JAN-24', 'JAN-024', 'JAN-20245', 'JAN-2O24', 'JAN-']) {
+      assert.equal(parseTransactionDate(value), null, value);
+    }
+  });
+
+  it('rejects unknown months and extra parts', () => {
+    assert.equal(parseTransactionDate('JANUARY-2024'), null);
+    assert.equal(parseTransactionDate('jan-2024'), null);
+    assert.equal(parseTransactionDate('JAN-2024-01'), null);
+  });
+});
+
+describe('parsePeriodRange', () => {
+  const LATEST = '2024-05';
+
+  it('resolves a year, a quarter and a month', () => {
+    assert.deepEqual(parsePeriodRange('2024', LATEST), { from: '2024-01', to: '2024-12' });
+    assert.deepEqual(parsePeriodRange('2024-Q1', LATEST), { from: '2024-01', to: '2024-03' });
+    assert.deepEqual(parsePeriodRange('2024-q4', LATEST), { from: '2024-10', to: '2024-12' });
+    assert.deepEqual(parsePeriodRange('2024-05', LATEST), { from: '2024-05', to: '2024-05' });
+  });
+
+  it('resolves ranges from the start of one bound to the end of the other', () => {
+    assert.deepEqual(parsePeriodRange('2022..2023-Q2', LATEST), { from: '2022-01', to: '2023-06' });
+    assert.deepEqual(parsePeriodRange('2023-11 .. 2024-02', LATEST), { from: '2023-11', to: '2024-02' });
+    assert.deepEqual(parsePeriodRange('2024-Q2..2024-04', LATEST), { from: '2024-04', to: '2024-04' });
+  });
+
+  it('rejects reversed and malformed ranges', () => {
+    assert.equal(parsePeriodRange('2024..2023', LATEST), null);
+    assert.equal(parsePeriodRange('2024-06..2024-05', LATEST), null);
+    assert.equal(parsePeriodRange('2022..2023..2024', LATEST), null);
+    assert.equal(parsePeriodRange('2024..', LATEST), null);
+  });
+
+  it('rejects unrecognized expressions', () => {
+    for (const value of ['', '24', '2024-13', '2024-00', '2024-Q5', '2024-5', 'last-week', 'last-0-months', 'last--1-months']) {
+      assert.equal(parsePeriodRange(value, LATEST), null, value);
+    }
+    assert.equal(parsePeriodRange(2024, LATEST), null);
+    assert.equal(parsePeriodRange(undefined, LATEST), null);
+  });
+
+  it('rejects years outside 1900-2100', () => {
+    for (const value of ['0001', '1899', '2101', '9999', '0001..9999', '1899-12..2024', '2024..2101-Q1']) {
+      assert.equal(parsePeriodRange(value, LATEST), null, value);
+    }
+    assert.deepEqual(parsePeriodRange('1900..2100', LATEST), { from: '1900-01', to: '2100-12' });
+  });
+
+  it('resolves last-N windows ending at the latest month', () => {
+    assert.deepEqual(parsePeriodRange('last-month', LATEST), { from: '2024-05', to: '2024-05' });
+    assert.deepEqual(parsePeriodRange('last-1-month', LATEST), { from: '2024-05', to: '2024-05' });
+    assert.deepEqual(parsePeriodRange('last-3-months', LATEST), { from: '2024-03', to: '2024-05' });
+    assert.deepEqual(parsePeriodRange('last-12-months', LATEST), { from: '2023-06', to: '2024-05' });
+    assert.deepEqual(parsePeriodRange('last-120-months', LATEST), { from: '2014-06', to: '2024-05' });
+  });
+
+  it('caps last-N windows and needs a latest month', () => {
+    assert.equal(parsePeriodRange('last-121-months', LATEST), null);
+    assert.equal(parsePeriodRange('last-100000-months', LATEST), null);
+    assert.equal(parsePeriodRange('last-3-months', null), null);
+  });
+});
+
+describe('previousPeriodRange', () => {
+  it('returns the window of the same length just before', () => {
+    assert.deepEqual(previousPeriodRange({ from: '2024-05', to: '2024-05' }), { from: '2024-04', to: '2024-04' });
+    assert.deepEqual(previousPeriodRange({ from: '2024-01', to: '2024-03' }), { from: '2023-10', to: '2023-12' });
+    assert.deepEqual(previousPeriodRange({ from: '2024-01', to: '2024-12' }), { from: '2023-01', to: '2023-12' });
+    assert.deepEqual(previousPeriodRange({ from: '2023-11', to: '2024-02' }), { from: '2023-07', to: '2023-10' });
+  });
+
+  it('stays in positive years for the widest accepted range', () => {
+    const range = parsePeriodRange('1900..2100', '2024-05');
+    assert.deepEqual(previousPeriodRange(range), { from: '1699-01', to: '1899-12' });
+  });
+});
+
+describe('listPeriods', () => {
+  it('lists every month across a year boundary', () => {
+    assert.deepEqual(listPeriods('2023-11', '2024-02'), ['2023-11', '2023-12', '2024-01', '2024-02']);
+    assert.deepEqual(listPeriods('2024-05', '2024-05'), ['2024-05']);
+    assert.deepEqual(listPeriods('2024-06', '2024-05'), []);
+  });
+});
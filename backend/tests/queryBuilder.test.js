@@ -0,0 +1,383 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import {
+  createQueryBuilder,
+  decodeCursor,
+  encodeCursor,
+  FILTER_OPERATORS,
+  parseFilters,
+  QueryValidationError
+} from '../src/utils/queryBuilder.js';
+
+const ROWS = [
+  { id: 1, town: 'ANG MO KIO', district: '20', transaction_date: 'JAN-2023', period: '2023-01', price: 100 },
+  { id: 2, town: 'BEDOK', district: '16', transaction_date: 'JUN-2023', period: '2023-06', price: null },
+  { id: 3, town: null, district: '16', transaction_date: 'FEB-2024', period: '2024-02', price: 300 },
+  { id: 4, town: 'A_B', district: '01', transaction_date: 'DEC-2024', period: '2024-12', price: 400 },
+  { id: 5, town: 'AXB', district: '01', transaction_date: null, period: null, price: 500 },
+  { id: 6, town: '50%OFF', district: '02', transaction_date: 'JAN-2025', period: '2025-01', price: 600 }
+];
+
+function setup() {
+  const db = new Database(':memory:');
+  db.exec(`
+    CREATE TABLE transactions (
+      id INTEGER PRIMARY KEY,
+      town TEXT,
+      district TEXT,
+      transaction_date TEXT,
+      period TEXT,
+      price INTEGER,
+      row_hash TEXT
+    )
+  `);
+  const insert = db.prepare(`
+    INSERT INTO transactions (id, town, district, transaction_date, period, price, row_hash)
+    VALUES (@id, @town, @district, @transaction_date, @period, @price, 'hash')
+  `);
+  ROWS.forEach(row => insert.run(row));
+
+  const builder = createQueryBuilder(db, 'transactions', {
+    periodColumns: { transaction_date: 'period', period: 'period' }
+  });
+  return { db, builder };
+}
+
+// Ids of the rows a filter selects
+function matchingIds(filters) {
+  const { db, builder } = setup();
+  const where = builder.where(filters);
+  return db.prepare(`SELECT id FROM transactions${where.sql} ORDER BY id`).all(...where.params).map(row => row.id);
+}
+
+function assertValidationError(fn, pattern) {
+  assert.throws(fn, error => {
+    assert.ok(error instanceof QueryValidationError);
+    assert.equal(error.status, 400);
+    if (pattern) assert.match(error.message, pattern);
+    return true;
+  });
+}
+
+describe('column whitelist', () => {
+  it('lists table columns without the row id and fingerprint', () => {
+    const { builder } = setup();
+    assert.deepEqual(builder.getColumns(), ['town', 'district', 'transaction_date', 'period', 'price']);
+  });
+
+  it('accepts known columns', () => {
+    const { builder } = setup();
+    assert.equal(builder.column('town'), 'town');
+  });
+
+  it('rejects unknown, internal and injected column names', () => {
+    const { builder } = setup();
+    for (const name of ['missing', 'id', 'row_hash', 'town; DROP TABLE transactions', 'town--', '', null, 42]) {
+      assertValidationError(() => builder.column(name, 'dimension'), /Invalid dimension/);
+    }
+  });
+
+  it('reports the allowed columns with the error', () => {
+    const { builder } = setup();
+    assert.throws(() => builder.column('missing'), error => {
+      assert.deepEqual(error.toJSON(), {
+        error: 'Invalid column: "missing"',
+        allowed: builder.getColumns()
+      });
+      return true;
+    });
+  });
+
+  it('rejects filters and sorts on unknown columns', () => {
+    const { builder } = setup();
+    assertValidationError(() => builder.where({ 'town OR 1=1': ['x'] }), /Invalid filter/);
+    assertValidationError(() => builder.paginate({ sort: 'row_hash' }), /Invalid sort/);
+    assertValidationError(() => builder.paginate({ sort: 'town', order: 'sideways' }), /Invalid order/);
+  });
+});
+
+describe('filter operators', () => {
+  // One case per operator: [column, argument, ids the filter should select]
+  const CASES = {
+    in: ['town', ['BEDOK', 'AXB'], [2, 5]],
+    not_in: ['town', ['BEDOK'], [1, 3, 4, 5, 6]],
+    eq: ['district', '16', [2, 3]],
+    ne: ['town', 'BEDOK', [1, 3, 4, 5, 6]],
+    is_null: ['price', true, [2]],
+    like: ['town', 'A%', [1, 4, 5]],
+    prefix: ['town', 'A_', [4]],
+    contains: ['town', '_', [4]],
+    from: ['period', '2024', [3, 4, 6]],
+    to: ['price', 300, [1, 3]]
+  };
+
+  it('has a case for every operator', () => {
+    assert.deepEqual(Object.keys(CASES).sort(), [...FILTER_OPERATORS].sort());
+  });
+
+  for (const [op, [column, argument, expected]] of Object.entries(CASES)) {
+    it(`applies ${op}`, () => {
+      assert.deepEqual(matchingIds({ [column]: { [op]: argument } }), expected);
+    });
+  }
+
+  it('binds values instead of interpolating them', () => {
+    const { builder } = setup();
+    const where = builder.where({ town: { eq: "x' OR '1'='1" } });
+    assert.equal(where.sql, ' WHERE town = ?');
+    assert.deepEqual(where.params, ["x' OR '1'='1"]);
+    assert.deepEqual(matchingIds({ town: { eq: "x' OR '1'='1" } }), []);
+  });
+
+  it('passes like patterns through, wildcards included', () => {
+    assert.deepEqual(matchingIds({ town: { like: 'A_B' } }), [4, 5]);
+    assert.deepEqual(matchingIds({ town: { like: '%OFF' } }), [6]);
+  });
+
+  it('escapes wildcards in prefix filters', () => {
+    const { builder } = setup();
+    const where = builder.where({ town: { prefix: '50%' } });
+    assert.deepEqual(where.params, ['50\\%%']);
+    assert.deepEqual(matchingIds({ town: { prefix: '50%' } }), [6]);
+    assert.deepEqual(matchingIds({ town: { prefix: '_' } }), []);
+    assert.deepEqual(matchingIds({ town: { prefix: '\\' } }), []);
+  });
+
+  it('escapes wildcards in contains filters and requires every listed substring', () => {
+    assert.deepEqual(matchingIds({ town: { contains: '%' } }), [6]);
+    assert.deepEqual(matchingIds({ town: { contains: 'b' } }), [2, 4, 5]);
+    assert.deepEqual(matchingIds({ town: { contains: ['A', 'B'] } }), [4, 5]);
+    assert.deepEqual(matchingIds({ town: { contains: 'B', like: 'A%' } }), [4, 5]);
+    assert.deepEqual(matchingIds({ town: { contains: [] } }), [1, 2, 3, 4, 5, 6]);
+  });
+
+  it('ANDs extra conditions with the filters', () => {
+    const { builder } = setup();
+    const where = builder.where({ district: ['01'] }, ['price IS NOT NULL', { clause: 'price > ?', params: [450] }]);
+    assert.equal(where.sql, ' WHERE price IS NOT NULL AND price > ? AND district IN (?)');
+    assert.deepEqual(where.params, [450, '01']);
+  });
+});
+
+describe('parseFilters', () => {
+  it('treats a missing parameter as no filters', () => {
+    assert.deepEqual(parseFilters(undefined), {});
+    assert.deepEqual(parseFilters(''), {});
+  });
+
+  it('parses a JSON object', () => {
+    assert.deepEqual(parseFilters('{"town":{"not_in":["-"]}}'), { town: { not_in: ['-'] } });
+  });
+
+  it('rejects malformed JSON and non-objects with a 400', () => {
+    for (const raw of ['{town:', 'not json', '[]', '["town"]', 'null', '42', '"town"']) {
+      assertValidationError(() => parseFilters(raw), /Invalid filters format/);
+    }
+  });
+});
+
+describe('filter grammar', () => {
+  it('reads a plain list as in and a plain value as eq', () => {
+    assert.deepEqual(matchingIds({ district: ['01', '02'] }), [4, 5, 6]);
+    assert.deepEqual(matchingIds({ district: '20' }), [1]);
+  });
+
+  it('skips empty in and not_in lists', () => {
+    const { builder } = setup();
+    assert.equal(builder.where({ town: { in: [] }, district: { not_in: [] } }).sql, '');
+  });
+
+  it('requires lists of strings or numbers for in and not_in', () => {
+    const { builder } = setup();
+    assertValidationError(() => builder.where({ town: { in: 'BEDOK' } }), /town\.in expects an array/);
+    assertValidationError(() => builder.where({ town: { not_in: [{ eq: 'x' }] } }), /town\.not_in expects an array/);
+  });
+
+  it('keeps NULLs for not_in and ne, which SQL comparison alone would drop', () => {
+    assert.ok(matchingIds({ town: { not_in: ['BEDOK', 'AXB'] } }).includes(3));
+    assert.ok(matchingIds({ price: { ne: 100 } }).includes(2));
+  });
+
+  it('combines operators on one column', () => {
+    assert.deepEqual(matchingIds({ town: { not_in: ['BEDOK'], prefix: 'A' } }), [1, 4, 5]);
+  });
+
+  it('selects present or missing values with is_null', () => {
+    assert.deepEqual(matchingIds({ period: { is_null: true } }), [5]);
+    assert.deepEqual(matchingIds({ period: { is_null: false } }), [1, 2, 3, 4, 6]);
+  });
+
+  it('requires a boolean for is_null', () => {
+    const { builder } = setup();
+    for (const value of ['true', 1, null]) {
+      assertValidationError(() => builder.where({ period: { is_null: value } }), /is_null expects true or false/);
+    }
+  });
+
+  it('maps from/to on a period source column to its "YYYY-MM" column', () => {
+    const { builder } = setup();
+    const where = builder.where({ transaction_date: { from: '2023-06', to: '2024' } });
+    assert.equal(where.sql, ' WHERE period >= ? AND period <= ?');
+    assert.deepEqual(where.params, ['2023-06', '2024-12']);
+    assert.deepEqual(matchingIds({ transaction_date: { from: '2023-06', to: '2024' } }), [2, 3, 4]);
+  });
+
+  it('expands a bare year to its first month for from and its last month for to', () => {
+    assert.deepEqual(matchingIds({ period: { from: '2024', to: '2024' } }), [3, 4]);
+  });
+
+  it('rejects period bounds that are not "YYYY-MM" or "YYYY"', () => {
+    const { builder } = setup();
+    for (const value of ['2024-13', '24', 'JAN-2024', '2024-1', 202401]) {
+      assertValidationError(() => builder.where({ period: { from: value } }), /period\.from expects "YYYY-MM" or "YYYY"/);
+    }
+  });
+
+  it('rejects unknown operators with the allowed list and a 400', () => {
+    const { builder } = setup();
+    assert.throws(() => builder.where({ price: { gt: 100 } }), error => {
+      assert.ok(error instanceof QueryValidationError);
+      assert.equal(error.status, 400);
+      assert.deepEqual(error.toJSON(), {
+        error: 'Invalid operator for filter price: "gt"',
+        allowed: FILTER_OPERATORS
+      });
+      return true;
+    });
+  });
+
+  it('rejects filter values that are neither a list, a value nor an operator object', () => {
+    const { builder } = setup();
+    for (const value of [null, true]) {
+      assertValidationError(() => builder.where({ town: value }), /Invalid value for filter: town/);
+    }
+  });
+});
+
+describe('cursors', () => {
+  it('round-trips the sort position', () => {
+    const token = encodeCursor({ id: 4, town: 'A_B' }, 'town', 'desc');
+    assert.match(token, /^[A-Za-z0-9_-]+$/);
+    assert.deepEqual(decodeCursor(token), { sort: 'town', order: 'desc', value: 'A_B', id: 4 });
+  });
+
+  it('round-trips NULL sort keys', () => {
+    const token = encodeCursor({ id: 3, town: null }, 'town', 'asc');
+    assert.deepEqual(decodeCursor(token), { sort: 'town', order: 'asc', value: null, id: 3 });
+
+    const { builder } = setup();
+    const { condition } = builder.paginate({ sort: 'town', order: 'asc', cursor: token });
+    assert.deepEqual(condition.params, [3]);
+  });
+
+  it('rejects tokens that are not cursors', () => {
+    const tampered = payload => Buffer.from(JSON.stringify(payload)).toString('base64url');
+    for (const token of [
+      'not-a-cursor',
+      Buffer.from('{"sort":').toString('base64url'),
+      tampered(null),
+      tampered({ sort: 'town', order: 'asc', value: 'A', id: '4' }),
+      tampered({ sort: 'town', order: 'asc', value: 'A', id: 4.5 }),
+      tampered({ sort: ['town'], order: 'asc', value: 'A', id: 4 })
+    ]) {
+      assertValidationError(() => decodeCursor(token), /Invalid cursor/);
+    }
+  });
+
+  it('rejects a cursor whose sort column was tampered with', () => {
+    const { builder } = setup();
+    const token = Buffer.from(JSON.stringify({ sort: 'town; DROP TABLE transactions', order: 'asc', value: 'A', id: 1 }))
+      .toString('base64url');
+    assertValidationError(() => builder.paginate({ sort: 'town', order: 'asc', cursor: token }), /does not match/);
+  });
+});
+
+describe('listRows pagination', () => {
+  // Many ties and NULLs in the sort columns, so the id tie-break and NULL ordering both matter
+  function setupListing() {
+    const db = new Database(':memory:');
+    db.exec('CREATE TABLE transactions (id INTEGER PRIMARY KEY, town TEXT, price INTEGER, row_hash TEXT)');
+    const insert = db.prepare('INSERT INTO transactions (town, price, row_hash) VALUES (?, ?, ?)');
+    const towns = ['BEDOK', null, 'ANG MO KIO', 'BEDOK', null, 'YISHUN', 'ANG MO KIO'];
+    for (let i = 0; i < 60; i++) {
+      insert.run(towns[i % towns.length], i % 4 === 0 ? null : (i * 37) % 11, `hash-${i}`);
+    }
+    return { db, builder: createQueryBuilder(db, 'transactions') };
+  }
+
+  function walkByCursor(builder, options, limit) {
+    const ids = [];
+    let cursor = null;
+    for (let pages = 0; pages < 100; pages++) {
+      const { rows, nextCursor } = builder.listRows({ ...options, cursor, limit });
+      ids.push(...rows.map(row => row.id));
+      if (!nextCursor) return ids;
+      cursor = nextCursor;
+    }
+    throw new Error('Cursor walk did not finish');
+  }
+
+  function walkByOffset(builder, options, limit) {
+    const ids = [];
+    for (let page = 1; page < 100; page++) {
+      const { rows, hasMore } = builder.listRows({ ...options, page, limit });
+      ids.push(...rows.map(row => row.id));
+      if (!hasMore) return ids;
+    }
+    throw new Error('Offset walk did not finish');
+  }
+
+  for (const sort of ['id', 'town', 'price']) {
+    for (const order of ['asc', 'desc']) {
+      it(`visits every row once by cursor, in OFFSET order, sorting by ${sort} ${order}`, () => {
+        const { builder } = setupListing();
+        const byCursor = walkByCursor(builder, { sort, order }, 7);
+        const byOffset = walkByOffset(builder, { sort, order }, 7);
+
+        assert.equal(byCursor.length, 60);
+        assert.equal(new Set(byCursor).size, 60);
+        assert.deepEqual(byCursor, byOffset);
+      });
+    }
+  }
+
+  it('pages by cursor under a filter', () => {
+    const { builder } = setupListing();
+    const options = { sort: 'town', order: 'desc', filters: { price: { is_null: false } } };
+    const byCursor = walkByCursor(builder, options, 4);
+    assert.deepEqual(byCursor, walkByOffset(builder, options, 4));
+    assert.equal(byCursor.length, 45);
+  });
+
+  it('crosses from NULL to non-NULL sort keys at a page boundary', () => {
+    const { builder } = setupListing();
+    const nullTowns = builder.listRows({ sort: 'town', order: 'asc', limit: 60 }).rows
+      .filter(row => row.town === null).length;
+
+    const first = builder.listRows({ sort: 'town', order: 'asc', limit: nullTowns });
+    assert.ok(first.rows.every(row => row.town === null));
+    const second = builder.listRows({ sort: 'town', order: 'asc', cursor: first.nextCursor, limit: 1 });
+    assert.equal(second.rows[0].town, 'ANG MO KIO');
+  });
+
+  it('never returns the row fingerprint', () => {
+    const { builder } = setupListing();
+    const { rows } = builder.listRows({ limit: 1 });
+    assert.deepEqual(Object.keys(rows[0]), ['id', 'town', 'price']);
+  });
+
+  it('rejects a cursor reused with a different sort or order', () => {
+    const { builder } = setupListing();
+    const { nextCursor } = builder.listRows({ sort: 'town', order: 'asc', limit: 5 });
+
+    assertValidationError(() => builder.listRows({ sort: 'price', order: 'asc', cursor: nextCursor }), /does not match/);
+    assertValidationError(() => builder.listRows({ sort: 'town', order: 'desc', cursor: nextCursor }), /does not match/);
+    assertValidationError(() => builder.listRows({ cursor: nextCursor }), /does not match/);
+  });
+
+  it('rejects an invalid cursor', () => {
+    const { builder } = setupListing();
+    assertValidationError(() => builder.listRows({ sort: 'town', cursor: 'garbage' }), /Invalid cursor/);
+  });
+});
@@ -0,0 +1,34 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeSchema } from '../src/utils/schemaAnalyzer.js';
+
+function column(rows, name) {
+  return analyzeSchema(rows).columns.find(col => col.name === name);
+}
+
+describe('column typing', () => {
+  it('types plain numbers as numeric with a median', () => {
+    const rows = Array.from({ length: 5 }, (_, i) => ({ price: String((i + 1) * 100) }));
+    const price = column(rows, 'price');
+
+    assert.equal(price.type, 'numeric');
+    assert.equal(price.stats.median, 300);
+  });
+
+  it('types zero-padded codes as identifiers without numeric stats', () => {
+    const rows = Array.from({ length: 50 }, (_, i) => ({ postal: String(10000 + i * 37).padStart(6, '0') }));
+    const postal = column(rows, 'postal');
+
+    assert.equal(postal.type, 'identifier');
+    assert.equal(postal.stats.median, undefined);
+    assert.equal(postal.stats.mean, undefined);
+  });
+
+  it('keeps a code column with some zero-padded values out of numeric', () => {
+    const rows = Array.from({ length: 56 }, (_, i) => ({ district: String((i % 28) + 1).padStart(2, '0') }));
+    const district = column(rows, 'district');
+
+    assert.notEqual(district.type, 'numeric');
+    assert.equal(district.stats.median, undefined);
+  });
+});
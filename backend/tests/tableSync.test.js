@@ -0,0 +1,158 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import logger from '../src/utils/logger.js';
+import {
+  canUpdateInPlace,
+  countStagedDuplicates,
+  rebuildTable,
+  recordIngest,
+  stageRows,
+  updateTable
+} from '../src/utils/tableSync.js';
+
+mock.method(logger, 'log', () => {});
+mock.method(logger, 'success', () => {});
+
+const CONFIG = {
+  table: 'transactions',
+  columns: { agent: 'agent', transaction_date: 'transaction_date' },
+  derived: { period: { from: 'transaction_date', transform: 'period' } },
+  indexes: ['period']
+};
+
+function row(agent, transactionDate) {
+  return { agent, transaction_date: transactionDate };
+}
+
+// Stage rows and apply them the way the pipeline does, returning the ingest summary
+async function build(db, rows, mode) {
+  await stageRows(db, rows, CONFIG);
+  const changes = mode === 'full' ? rebuildTable(db, CONFIG) : updateTable(db, CONFIG);
+  return recordIngest(db, mode, changes);
+}
+
+function storedRows(db) {
+  return db.prepare('SELECT agent, transaction_date, period FROM transactions ORDER BY id').all();
+}
+
+function ingestLog(db) {
+  return db.prepare('SELECT mode, period, inserted, deleted FROM ingest_log ORDER BY id').all();
+}
+
+describe('full builds', () => {
+  it('loads every staged row and logs inserts per period', async () => {
+    const db = new Database(':memory:');
+    const ingest = await build(db, [row('A', 'JAN-2024'), row('B', 'JAN-2024'), row('A', 'FEB-2024')], 'full');
+
+    assert.deepEqual(storedRows(db), [
+      { agent: 'A', transaction_date: 'JAN-2024', period: '2024-01' },
+      { agent: 'B', transaction_date: 'JAN-2024', period: '2024-01' },
+      { agent: 'A', transaction_date: 'FEB-2024', period: '2024-02' }
+    ]);
+    assert.deepEqual(ingestLog(db), [
+      { mode: 'full', period: '2024-01', inserted: 2, deleted: 0 },
+      { mode: 'full', period: '2024-02', inserted: 1, deleted: 0 }
+    ]);
+    assert.equal(ingest.inserted, 3);
+    assert.equal(ingest.deleted, 0);
+    assert.deepEqual(ingest.periods, ['2024-01', '2024-02']);
+  });
+
+  it('counts exact repeats among the staged rows', async () => {
+    const db = new Database(':memory:');
+    await stageRows(db, [row('A', 'JAN-2024'), row('A', 'JAN-2024'), row('A', 'JAN-2024'), row('B', 'JAN-2024')], CONFIG);
+    assert.equal(countStagedDuplicates(db), 2);
+  });
+});
+
+describe('incremental updates', () => {
+  const INITIAL = [row('A', 'JAN-2024'), row('A', 'JAN-2024'), row('B', 'JAN-2024'), row('C', 'FEB-2024')];
+
+  async function seeded() {
+    const db = new Database(':memory:');
+    await build(db, INITIAL, 'full');
+    return db;
+  }
+
+  it('changes nothing when the source is unchanged', async () => {
+    const db = await seeded();
+    const ingest = await build(db, INITIAL, 'incremental');
+
+    assert.equal(ingest.inserted, 0);
+    assert.equal(ingest.deleted, 0);
+    assert.equal(storedRows(db).length, 4);
+    assert.deepEqual(ingestLog(db).filter(entry => entry.mode === 'incremental'), []);
+  });
+
+  it('inserts appended rows under their period', async () => {
+    const db = await seeded();
+    const ingest = await build(db, [...INITIAL, row('D', 'MAR-2024')], 'incremental');
+
+    assert.deepEqual(ingest.periods, ['2024-03']);
+    assert.deepEqual(storedRows(db).at(-1), { agent: 'D', transaction_date: 'MAR-2024', period: '2024-03' });
+  });
+
+  it('removes one copy of a duplicated row that the source dropped', async () => {
+    const db = await seeded();
+    const ingest = await build(db, [row('A', 'JAN-2024'), row('B', 'JAN-2024'), row('C', 'FEB-2024')], 'incremental');
+
+    assert.equal(ingest.inserted, 0);
+    assert.equal(ingest.deleted, 1);
+    assert.equal(storedRows(db).filter(stored => stored.agent === 'A').length, 1);
+  });
+
+  it('adds a further copy of a row the source repeats again', async () => {
+    const db = await seeded();
+    const ingest = await build(db, [...INITIAL, row('A', 'JAN-2024')], 'incremental');
+
+    assert.equal(ingest.inserted, 1);
+    assert.equal(ingest.deleted, 0);
+    assert.equal(storedRows(db).filter(stored => stored.agent === 'A').length, 3);
+  });
+
+  it('treats a changed row as a delete plus an insert', async () => {
+    const db = await seeded();
+    // B's deal is corrected in place; C's moves to another month
+    const ingest = await build(db, [
+      row('A', 'JAN-2024'), row('A', 'JAN-2024'), row('B2', 'JAN-2024'), row('C', 'MAR-2024')
+    ], 'incremental');
+
+    assert.equal(ingest.inserted, 2);
+    assert.equal(ingest.deleted, 2);
+    assert.deepEqual(storedRows(db).map(stored => stored.agent).sort(), ['A', 'A', 'B2', 'C']);
+    assert.deepEqual(ingestLog(db).filter(entry => entry.mode === 'incremental'), [
+      { mode: 'incremental', period: '2024-01', inserted: 1, deleted: 1 },
+      { mode: 'incremental', period: '2024-02', inserted: 0, deleted: 1 },
+      { mode: 'incremental', period: '2024-03', inserted: 1, deleted: 0 }
+    ]);
+  });
+
+  it('keeps earlier builds in the log', async () => {
+    const db = await seeded();
+    await build(db, [...INITIAL, row('D', 'MAR-2024')], 'incremental');
+
+    assert.deepEqual(ingestLog(db).map(entry => [entry.mode, entry.period]), [
+      ['full', '2024-01'],
+      ['full', '2024-02'],
+      ['incremental', '2024-03']
+    ]);
+  });
+});
+
+describe('canUpdateInPlace', () => {
+  it('accepts a table built from the same config', async () => {
+    const db = new Database(':memory:');
+    await build(db, [row('A', 'JAN-2024')], 'full');
+    assert.equal(canUpdateInPlace(db, CONFIG), true);
+  });
+
+  it('rejects a missing table or one with different columns', async () => {
+    const db = new Database(':memory:');
+    assert.equal(canUpdateInPlace(db, CONFIG), false);
+
+    await build(db, [row('A', 'JAN-2024')], 'full');
+    const changed = { ...CONFIG, columns: { ...CONFIG.columns, town: 'town' } };
+    assert.equal(canUpdateInPlace(db, changed), false);
+  });
+});
@@ -1,19 +1,34 @@
-import React, { useState } from 'react';
+import React from 'react';
+import { Navigate, Route, Routes, useLocation, useMatch, useNavigate } from 'react-router-dom';
 import Layout from './components/layout/Layout';
 import DatasetView from './components/DatasetView';
 import { useCatalog, useDataLoader } from './hooks/useDataLoader';
+import { filtersToSearchParams, searchParamsToFilters } from './hooks/useUrlFilters';
 
 function App() {
   const { catalog, loading: catalogLoading, error: catalogError } = useCatalog();
-  const [selectedDatasetId, setSelectedDatasetId] = useState(null);
+  const navigate = useNavigate();
+  const location = useLocation();
+  const datasetMatch = useMatch('/datasets/:datasetId/*');
+  const selectedDatasetId = datasetMatch?.params.datasetId || null;
   const { data: dataset, loading: datasetLoading, error: datasetError } = useDataLoader(selectedDatasetId);
 
-  // Auto-select first dataset
-  React.useEffect(() => {
-    if (catalog && !selectedDatasetId && catalog.datasets.length > 0) {
-      setSelectedDatasetId(catalog.datasets[0].id);
+  const handleDatasetSelect = (datasetId) => {
+    navigate(`/datasets/${datasetId}/analytics`);
+  };
+
+  // Agents open their profile; towns and districts narrow the analytics view
+  const handleSearchSelect = (result) => {
+    if (result.type === 'agent') {
+      navigate(`/datasets/${selectedDatasetId}/agents/${encodeURIComponent(result.value)}${location.search}`);
+    } else {
+      const filters = searchParamsToFilters(new URLSearchParams(location.search));
+      const params = filtersToSearchParams({ ...filters, [result.type]: [result.value] });
+      navigate(`/datasets/${selectedDatasetId}/analytics?${params}`);
     }
-  }, [catalog, selectedDatasetId]);
+  };
+
+  const firstDatasetId = catalog?.datasets[0]?.id;
 
   if (catalogLoading) {
     return (
@@ -48,27 +63,43 @@ function App() {
     <Layout
       catalog={catalog}
       selectedDataset={selectedDatasetId}
-      onDatasetSelect={setSelectedDatasetId}
+      onDatasetSelect={handleDatasetSelect}
+      onSearchSelect={handleSearchSelect}
     >
-      {selectedDatasetId ? (
-        <DatasetView
-          dataset={dataset}
-          loading={datasetLoading}
-          error={datasetError}
+      <Routes>
+        <Route path="/datasets/:datasetId" element={<Navigate to="analytics" replace />} />
+        <Route
+          path="/datasets/:datasetId/:tab"
+          element={<DatasetView dataset={dataset} loading={datasetLoading} error={datasetError} />}
         />
-      ) : (
-        <div className="flex items-center justify-center h-full">
-          <div className="text-center">
-            <div className="text-gray-400 text-6xl mb-4">📊</div>
-            <h2 className="text-xl font-semibold text-gray-800 mb-2">
-              Welcome to CEA-VIZ
-            </h2>
-            <p className="text-gray-600">
-              Select a dataset from the sidebar to begin
-            </p>
-          </div>
-        </div>
-      )}
+        <Route
+          path="/datasets/:datasetId/agents/:regNum"
+          element={<DatasetView dataset={dataset} loading={datasetLoading} error={datasetError} />}
+        />
+        <Route
+          path="/datasets/:datasetId/agents/compare/:regNums"
+          element={<DatasetView dataset={dataset} loading={datasetLoading} error={datasetError} />}
+        />
+        <Route
+          path="*"
+          element={firstDatasetId ? (
+            // Auto-select first dataset
+            <Navigate to={`/datasets/${firstDatasetId}/analytics`} replace />
+          ) : (
+            <div className="flex items-center justify-center h-full">
+              <div className="text-center">
+                <div className="text-gray-400 text-6xl mb-4">📊</div>
+                <h2 className="text-xl font-semibold text-gray-800 mb-2">
+                  Welcome to CEA-VIZ
+                </h2>
+                <p className="text-gray-600">
+                  Select a dataset from the sidebar to begin
+                </p>
+              </div>
+            </div>
+          )}
+        />
+      </Routes>
     </Layout>
   );
 }
@@ -1,10 +1,41 @@
-import React, { useState } from 'react';
+import React from 'react';
+import { Navigate, useLocation, useNavigate, useParams } from 'react-router-dom';
 import { format } from 'date-fns';
 import AnalyticsDashboard from './analytics/AnalyticsDashboard';
 import AgentInsights from './agents/AgentInsights';
+import DataExplorer from './data/DataExplorer';
+import RecommendedDashboard from './analytics/RecommendedDashboard';
+import StatsSummary from './analysis/StatsSummary';
+import { useUrlFilters } from '../hooks/useUrlFilters';
+
+const TABS = [
+  { id: 'analytics', label: 'Analytics' },
+  { id: 'agents', label: 'Agents' },
+  { id: 'recommended', label: 'Recommended' },
+  { id: 'data', label: 'Data' },
+  { id: 'schema', label: 'Schema' }
+];
 
 export default function DatasetView({ dataset, loading, error }) {
-  const [activeTab, setActiveTab] = useState('analytics'); // Default to analytics
+  // Tab, selected agent and filters all live in the URL so views survive reloads
+  const { datasetId, tab, regNum: selectedAgent, regNums } = useParams();
+  const comparedAgents = regNums ? regNums.split(',') : null;
+  const activeTab = selectedAgent || comparedAgents ? 'agents' : tab;
+  const navigate = useNavigate();
+  const { search } = useLocation();
+  const [filters, setFilters] = useUrlFilters();
+
+  const onTabChange = (tab) => navigate(`/datasets/${datasetId}/${tab}${search}`);
+  const onSelectAgent = (regNum) => navigate(
+    `/datasets/${datasetId}/agents${regNum ? `/${encodeURIComponent(regNum)}` : ''}${search}`
+  );
+  const onCompareAgents = (regNums) => navigate(
+    `/datasets/${datasetId}/agents${regNums ? `/compare/${regNums.map(encodeURIComponent).join(',')}` : ''}${search}`
+  );
+
+  if (!TABS.some(t => t.id === activeTab)) {
+    return <Navigate to={`/datasets/${datasetId}/analytics${search}`} replace />;
+  }
 
   if (loading) {
     return (
@@ -56,40 +87,64 @@ export default function DatasetView({ dataset, loading, error }) {
       {/* Tab Navigation */}
       <div className="border-b border-gray-200">
         <nav className="flex gap-4">
-          <button
-            onClick={() => setActiveTab('analytics')}
-            className={`
-              px-4 py-2 font-medium text-sm border-b-2 transition-colors
-              ${activeTab === 'analytics'
-                ? 'border-primary-500 text-primary-600'
-                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
-              }
-            `}
-          >
-            Analytics
-          </button>
-          <button
-            onClick={() => setActiveTab('agents')}
-            className={`
-              px-4 py-2 font-medium text-sm border-b-2 transition-colors
-              ${activeTab === 'agents'
-                ? 'border-primary-500 text-primary-600'
-                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
-              }
-            `}
-          >
-            Agents
-          </button>
+          {TABS.map(({ id, label }) => (
+            <button
+              key={id}
+              onClick={() => onTabChange(id)}
+              className={`
+                px-4 py-2 font-medium text-sm border-b-2 transition-colors
+                ${activeTab === id
+                  ? 'border-primary-500 text-primary-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }
+              `}
+            >
+              {label}
+            </button>
+          ))}
         </nav>
       </div>
 
       {/* Tab Content */}
       {activeTab === 'analytics' && (
-        <AnalyticsDashboard datasetId={dataset.id} />
+        <AnalyticsDashboard
+          datasetId={dataset.id}
+          filters={filters}
+          onFiltersChange={setFilters}
+        />
       )}
 
       {activeTab === 'agents' && (
-        <AgentInsights datasetId={dataset.id} />
+        <AgentInsights
+          datasetId={dataset.id}
+          filters={filters}
+          onFiltersChange={setFilters}
+          selectedAgent={selectedAgent}
+          onSelectAgent={onSelectAgent}
+          comparedAgents={comparedAgents}
+          onCompareAgents={onCompareAgents}
+        />
+      )}
+
+      {activeTab === 'recommended' && (
+        <RecommendedDashboard
+          dataset={dataset}
+          filters={filters}
+          onFiltersChange={setFilters}
+        />
+      )}
+
+      {activeTab === 'data' && (
+        <DataExplorer
+          datasetId={dataset.id}
+          schema={schema}
+          filters={filters}
+          onFiltersChange={setFilters}
+        />
+      )}
+
+      {activeTab === 'schema' && (
+        <StatsSummary schema={schema} metadata={metadata} />
       )}
     </div>
   );
@@ -0,0 +1,96 @@
+import { useAgentCohorts } from '../../hooks/useAnalytics';
+import LineChart from '../visualizations/LineChart';
+import Heatmap from '../visualizations/Heatmap';
+import { formatPeriod } from '../../utils/periods';
+
+export default function AgentCohorts({ datasetId, filters }) {
+  const { data, loading, error } = useAgentCohorts(datasetId, filters);
+
+  if (loading) {
+    return (
+      <div className="card">
+        <div className="flex items-center justify-center h-64 text-gray-500">
+          Loading agent cohorts...
+        </div>
+      </div>
+    );
+  }
+
+  if (error || !data) {
+    return (
+      <div className="card">
+        <div className="flex items-center justify-center h-64 text-gray-500">
+          {error ? `Failed to load agent cohorts: ${error}` : 'No cohort data available'}
+        </div>
+      </div>
+    );
+  }
+
+  const flowData = data.months.map(month => ({
+    period: formatPeriod(month.period),
+    'New Agents': month.new,
+    'Exited Agents': month.exited
+  }));
+
+  const activityData = data.months.map(month => ({
+    period: formatPeriod(month.period),
+    Active: month.active,
+    Dormant: month.dormant
+  }));
+
+  const retentionData = data.retention.flatMap(({ cohort, agents, years }) =>
+    years.map(({ year, rate }) => ({
+      cohort: `${cohort} (${agents.toLocaleString()})`,
+      year,
+      rate
+    }))
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="card">
+          <LineChart
+            data={flowData}
+            xKey="period"
+            lines={['New Agents', 'Exited Agents']}
+            title="Agents Entering and Leaving"
+          />
+          <p className="text-xs text-gray-500 mt-2">
+            An agent enters in their first active month and leaves after their last one.
+            Recent exits may still come back.
+          </p>
+        </div>
+
+        <div className="card">
+          <LineChart
+            data={activityData}
+            xKey="period"
+            lines={['Active', 'Dormant']}
+            title="Active and Dormant Agents"
+          />
+          <p className="text-xs text-gray-500 mt-2">
+            Dormant agents had no transactions that month but are active before and after it.
+          </p>
+        </div>
+      </div>
+
+      <div className="card">
+        <Heatmap
+          data={retentionData}
+          xKey="year"
+          yKey="cohort"
+          valueKey="rate"
+          title="Cohort Retention"
+          formatValue={value => `${value}%`}
+          sortByTotal={false}
+          fillMissing={false}
+        />
+        <p className="text-xs text-gray-500 mt-2">
+          Each row is the agents whose first transaction fell in that year (cohort size in brackets).
+          The cells show the share of them still transacting in each later year.
+        </p>
+      </div>
+    </div>
+  );
+}
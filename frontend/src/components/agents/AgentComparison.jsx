@@ -0,0 +1,181 @@
+import { useAgentComparison } from '../../hooks/useAnalytics';
+import LineChart from '../visualizations/LineChart';
+import BarChart from '../visualizations/BarChart';
+import { formatPeriod } from '../../utils/periods';
+
+const MIXES = [
+  { key: 'propertyTypes', title: 'Property Types' },
+  { key: 'transactionTypes', title: 'Transaction Types' },
+  { key: 'representation', title: 'Representation' }
+];
+
+export default function AgentComparison({ datasetId, regNums, filters, onBack, onSelectAgent }) {
+  const { data, loading, error } = useAgentComparison(datasetId, regNums, filters);
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-96">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-500 mx-auto mb-4"></div>
+          <p className="text-gray-600">Loading agent comparison...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error || !data) {
+    return (
+      <div className="flex items-center justify-center h-96">
+        <div className="text-center max-w-md">
+          <div className="text-red-500 text-5xl mb-4">⚠️</div>
+          <h2 className="text-xl font-semibold text-gray-800 mb-2">Failed to Load Comparison</h2>
+          <p className="text-gray-600 mb-4">{error || 'No comparison data available'}</p>
+          <button onClick={onBack} className="btn-primary">
+            Go Back
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  // Chart series are labelled by name, with the reg # added when two agents share one
+  const labels = Object.fromEntries(data.agents.map(agent => {
+    const shared = data.agents.filter(other => other.name === agent.name).length > 1;
+    return [agent.regNum, shared || !agent.name ? `${agent.name || 'Unknown'} (${agent.regNum})` : agent.name];
+  }));
+  const series = data.agents.map(agent => labels[agent.regNum]);
+
+  const byLabel = (values) => Object.fromEntries(
+    Object.entries(values).map(([regNum, value]) => [labels[regNum], value])
+  );
+
+  const activityChartData = data.monthlyActivity.map(month => ({
+    period: formatPeriod(month.period),
+    ...byLabel(month.counts)
+  }));
+
+  return (
+    <div className="space-y-6">
+      {/* Back Button */}
+      <button
+        onClick={onBack}
+        className="flex items-center gap-2 text-primary-600 hover:text-primary-700 font-medium"
+      >
+        ← Back to All Agents
+      </button>
+
+      {/* Compared Agents */}
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4">
+        {data.agents.map(agent => (
+          <div key={agent.regNum} className="card">
+            <div className="font-bold text-gray-900 truncate">{agent.name}</div>
+            <div className="text-sm text-gray-500 font-mono">{agent.regNum}</div>
+            <div className="text-2xl font-bold text-primary-600 mt-2">
+              {agent.totalTransactions.toLocaleString()}
+            </div>
+            <div className="text-xs text-gray-500">transactions</div>
+            <button
+              onClick={() => onSelectAgent(agent.regNum)}
+              className="text-primary-600 hover:text-primary-700 font-medium text-sm mt-2"
+            >
+              View Profile →
+            </button>
+          </div>
+        ))}
+      </div>
+
+      {/* Activity Over Time */}
+      <div className="card">
+        <LineChart
+          data={activityChartData}
+          xKey="period"
+          lines={series}
+          title="Monthly Transaction Volume"
+        />
+      </div>
+
+      {/* Mixes */}
+      <div>
+        <h3 className="text-xl font-bold mb-4">Transaction Mix</h3>
+        <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
+          {MIXES.map(({ key, title }) => (
+            <div key={key} className="card">
+              <BarChart
+                data={data[key].map(row => ({ type: row.type, ...byLabel(row.percentages) }))}
+                xKey="type"
+                bars={series}
+                title={`${title} (% of each agent's transactions)`}
+              />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Town Overlap */}
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="card">
+          <h4 className="font-semibold mb-3">Towns Worked</h4>
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="border-b border-gray-200">
+                  <th className="text-left py-2 text-sm font-semibold text-gray-700">Town</th>
+                  {data.agents.map(agent => (
+                    <th key={agent.regNum} className="text-right py-2 text-sm font-semibold text-gray-700">
+                      {labels[agent.regNum]}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {data.towns.slice(0, 15).map(row => (
+                  <tr key={row.town} className="border-b border-gray-100">
+                    <td className="py-2 text-sm">{row.town}</td>
+                    {data.agents.map(agent => (
+                      <td key={agent.regNum} className="py-2 text-sm text-right font-medium">
+                        {row.counts[agent.regNum] || '–'}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {data.towns.length === 0 && (
+            <p className="text-sm text-gray-500 mt-2">No town recorded for these agents.</p>
+          )}
+        </div>
+
+        <div className="card">
+          <h4 className="font-semibold mb-3">Shared Towns</h4>
+          <div className="space-y-4">
+            {data.townOverlap.map(pair => (
+              <div key={pair.regNums.join('-')}>
+                <div className="flex justify-between items-center mb-1">
+                  <div className="text-sm font-medium">
+                    {labels[pair.regNums[0]]} & {labels[pair.regNums[1]]}
+                  </div>
+                  <div className="text-sm font-bold text-primary-600 ml-2">
+                    {(pair.similarity * 100).toFixed(0)}%
+                  </div>
+                </div>
+                <div className="w-full bg-gray-200 rounded-full h-2">
+                  <div
+                    className="bg-primary-500 h-2 rounded-full transition-all"
+                    style={{ width: `${pair.similarity * 100}%` }}
+                  ></div>
+                </div>
+                <div className="text-xs text-gray-500 mt-1">
+                  {pair.sharedTowns.length > 0 ? pair.sharedTowns.join(', ') : 'No towns in common'}
+                </div>
+              </div>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500 mt-4">
+            The share of towns either agent worked in that both did.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,14 +1,61 @@
 import { useState, useEffect } from 'react';
 import { useTopAgents } from '../../hooks/useAnalytics';
 import AgentProfile from './AgentProfile';
+import AgentComparison from './AgentComparison';
+import AgentCohorts from './AgentCohorts';
+import ConcentrationTrend from './ConcentrationTrend';
 import FilterPanel from '../analytics/FilterPanel';
+import { formatPeriod } from '../../utils/periods';
 
-export default function AgentInsights({ datasetId }) {
-  const [filters, setFilters] = useState({});
-  const [selectedAgent, setSelectedAgent] = useState(null);
+const MAX_COMPARED_AGENTS = 5;
+
+const LEADERBOARD_PERIODS = [
+  { value: '', label: 'All Time' },
+  { value: 'last-month', label: 'Latest Month' },
+  { value: 'last-3-months', label: 'Last 3 Months' },
+  { value: 'last-12-months', label: 'Last 12 Months' },
+  { value: 'custom', label: 'Custom Range' }
+];
+
+function RankMovement({ agent }) {
+  if (agent.newEntrant) {
+    return (
+      <span className="px-1.5 py-0.5 text-xs font-semibold text-blue-700 bg-blue-100 rounded">New</span>
+    );
+  }
+  if (agent.rankDelta === null) {
+    return null;
+  }
+  if (agent.rankDelta === 0) {
+    return <span className="text-xs text-gray-400" title="Same rank as the previous period">–</span>;
+  }
+
+  const rising = agent.rankDelta > 0;
+  return (
+    <span
+      className={`text-xs font-semibold ${rising ? 'text-green-600' : 'text-red-600'}`}
+      title={`#${agent.previousRank} in the previous period`}
+    >
+      {rising ? '▲' : '▼'} {Math.abs(agent.rankDelta)}
+    </span>
+  );
+}
+
+export default function AgentInsights({
+  datasetId,
+  filters,
+  onFiltersChange,
+  selectedAgent,
+  onSelectAgent,
+  comparedAgents,
+  onCompareAgents
+}) {
   const [displayLimit, setDisplayLimit] = useState(50);
   const [searchQuery, setSearchQuery] = useState('');
   const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [periodOption, setPeriodOption] = useState('');
+  const [customRange, setCustomRange] = useState({ from: '', to: '' });
+  const [compareSelection, setCompareSelection] = useState([]);
 
   // Debounce search query with shorter delay
   useEffect(() => {
@@ -19,11 +66,43 @@ export default function AgentInsights({ datasetId }) {
     return () => clearTimeout(timer);
   }, [searchQuery]);
 
-  const { data: agentData, loading } = useTopAgents(datasetId, displayLimit, filters, debouncedSearch);
+  // A custom range is only sent once both months are picked, in order
+  const period = periodOption === 'custom'
+    ? (customRange.from && customRange.to && customRange.from <= customRange.to
+      ? `${customRange.from}..${customRange.to}`
+      : null)
+    : periodOption || null;
+
+  const { data: agentData, loading, error } = useTopAgents(datasetId, displayLimit, filters, debouncedSearch, period);
 
   // Use the agents from the API response (backend already applies search filter)
   const filteredAgents = agentData?.agents || [];
 
+  // If agents are picked for comparison, show them side by side
+  // Comparisons and profiles fetch their own data, so they come before the leaderboard's loading and error states
+  if (comparedAgents) {
+    return (
+      <AgentComparison
+        datasetId={datasetId}
+        regNums={comparedAgents}
+        filters={filters}
+        onBack={() => onCompareAgents(null)}
+        onSelectAgent={onSelectAgent}
+      />
+    );
+  }
+
+  // If an agent is selected, show their profile
+  if (selectedAgent) {
+    return (
+      <AgentProfile
+        datasetId={datasetId}
+        regNum={selectedAgent}
+        onBack={() => onSelectAgent(null)}
+      />
+    );
+  }
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-96">
@@ -35,26 +114,23 @@ export default function AgentInsights({ datasetId }) {
   if (!agentData) {
     return (
       <div className="flex items-center justify-center h-96">
-        <div className="text-gray-500">No agent data available</div>
+        <div className="text-gray-500">
+          {error ? `Failed to load agents: ${error}` : 'No agent data available'}
+        </div>
       </div>
     );
   }
 
-  // If an agent is selected, show their profile
-  if (selectedAgent) {
-    return (
-      <AgentProfile
-        datasetId={datasetId}
-        regNum={selectedAgent}
-        onBack={() => setSelectedAgent(null)}
-      />
-    );
-  }
+  const toggleCompare = (regNum) => setCompareSelection(selection => (
+    selection.includes(regNum)
+      ? selection.filter(r => r !== regNum)
+      : [...selection, regNum]
+  ));
 
   return (
     <div className="space-y-6">
       {/* Filter Panel */}
-      <FilterPanel filters={filters} onFiltersChange={setFilters} />
+      <FilterPanel datasetId={datasetId} filters={filters} onFiltersChange={onFiltersChange} />
 
       {/* Search Bar */}
       <div className="card">
@@ -119,11 +195,64 @@ export default function AgentInsights({ datasetId }) {
 
       {/* Top Agents Leaderboard */}
       <div className="card">
-        <h3 className="text-xl font-bold mb-4">Top Agents by Transaction Volume</h3>
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+          <div>
+            <h3 className="text-xl font-bold">Top Agents by Transaction Volume</h3>
+            {agentData.compare && (
+              <p className="text-sm text-gray-500 mt-1">
+                {formatPeriod(agentData.period.from)} – {formatPeriod(agentData.period.to)}, with rank changes since{' '}
+                {formatPeriod(agentData.compare.from)} – {formatPeriod(agentData.compare.to)}
+              </p>
+            )}
+          </div>
+          <div className="flex flex-wrap items-center gap-3">
+            <button
+              onClick={() => onCompareAgents(compareSelection)}
+              disabled={compareSelection.length < 2}
+              className="btn-primary text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+              title={`Tick 2-${MAX_COMPARED_AGENTS} agents to compare them`}
+            >
+              Compare ({compareSelection.length})
+            </button>
+            <select
+              value={periodOption}
+              onChange={(e) => setPeriodOption(e.target.value)}
+              aria-label="Leaderboard period"
+              className="px-3 py-2 text-sm bg-white border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+            >
+              {LEADERBOARD_PERIODS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            {periodOption === 'custom' && (
+              <>
+                <input
+                  type="month"
+                  value={customRange.from}
+                  onChange={(e) => setCustomRange({ ...customRange, from: e.target.value })}
+                  aria-label="Range start"
+                  className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+                />
+                <span className="text-gray-400">to</span>
+                <input
+                  type="month"
+                  value={customRange.to}
+                  min={customRange.from || undefined}
+                  onChange={(e) => setCustomRange({ ...customRange, to: e.target.value })}
+                  aria-label="Range end"
+                  className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+                />
+              </>
+            )}
+          </div>
+        </div>
         <div className="overflow-x-auto">
           <table className="w-full">
             <thead>
               <tr className="border-b border-gray-200">
+                <th className="py-3 pl-4 text-sm font-semibold text-gray-700">
+                  <span className="sr-only">Compare</span>
+                </th>
                 <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Rank</th>
                 <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Agent Name</th>
                 <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Registration #</th>
@@ -135,20 +264,34 @@ export default function AgentInsights({ datasetId }) {
               </tr>
             </thead>
             <tbody>
-              {filteredAgents.map((agent, index) => (
+              {filteredAgents.map(agent => (
                 <tr
                   key={agent.regNum}
                   className="border-b border-gray-100 hover:bg-gray-50 transition-colors"
                 >
+                  <td className="py-3 pl-4">
+                    <input
+                      type="checkbox"
+                      checked={compareSelection.includes(agent.regNum)}
+                      onChange={() => toggleCompare(agent.regNum)}
+                      disabled={
+                        !compareSelection.includes(agent.regNum) &&
+                        compareSelection.length >= MAX_COMPARED_AGENTS
+                      }
+                      aria-label={`Compare ${agent.name}`}
+                      className="h-4 w-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+                    />
+                  </td>
                   <td className="py-3 px-4">
-                    <div className="flex items-center">
-                      {index < 3 ? (
+                    <div className="flex items-center gap-2">
+                      {agent.rank <= 3 ? (
                         <span className="text-2xl">
-                          {index === 0 ? '🥇' : index === 1 ? '🥈' : '🥉'}
+                          {agent.rank === 1 ? '🥇' : agent.rank === 2 ? '🥈' : '🥉'}
                         </span>
                       ) : (
-                        <span className="font-semibold text-gray-600">#{index + 1}</span>
+                        <span className="font-semibold text-gray-600">#{agent.rank}</span>
                       )}
+                      <RankMovement agent={agent} />
                     </div>
                   </td>
                   <td className="py-3 px-4">
@@ -182,7 +325,7 @@ export default function AgentInsights({ datasetId }) {
                   </td>
                   <td className="py-3 px-4">
                     <button
-                      onClick={() => setSelectedAgent(agent.regNum)}
+                      onClick={() => onSelectAgent(agent.regNum)}
                       className="text-primary-600 hover:text-primary-700 font-medium text-sm"
                     >
                       View Profile →
@@ -202,9 +345,9 @@ export default function AgentInsights({ datasetId }) {
           <div className="card">
             <h4 className="font-semibold mb-4">Top 10 Agents by Volume</h4>
             <div className="space-y-3">
-              {filteredAgents.slice(0, 10).map((agent, index) => (
+              {filteredAgents.slice(0, 10).map(agent => (
               <div key={agent.regNum} className="flex items-center gap-3">
-                <div className="w-8 text-sm font-semibold text-gray-600">#{index + 1}</div>
+                <div className="w-8 text-sm font-semibold text-gray-600">#{agent.rank}</div>
                 <div className="flex-1">
                   <div className="flex justify-between items-center mb-1">
                     <div className="text-sm font-medium truncate">{agent.name}</div>
@@ -252,6 +395,15 @@ export default function AgentInsights({ datasetId }) {
         </div>
         </div>
       )}
+
+      {/* Concentration Over Time */}
+      <ConcentrationTrend datasetId={datasetId} filters={filters} />
+
+      {/* Entries, Exits and Retention */}
+      <div>
+        <h3 className="text-xl font-bold mb-4">Agent Tenure</h3>
+        <AgentCohorts datasetId={datasetId} filters={filters} />
+      </div>
     </div>
   );
 }
@@ -2,6 +2,7 @@ import { useAgentProfile } from '../../hooks/useAnalytics';
 import PieChart from '../visualizations/PieChart';
 import LineChart from '../visualizations/LineChart';
 import BarChart from '../visualizations/BarChart';
+import { formatPeriod } from '../../utils/periods';
 
 export default function AgentProfile({ datasetId, regNum, onBack }) {
   const { data: profile, loading, error } = useAgentProfile(datasetId, regNum);
@@ -78,6 +79,14 @@ export default function AgentProfile({ datasetId, regNum, onBack }) {
           <div>
             <h2 className="text-3xl font-bold text-gray-900">{profile.agent.name}</h2>
             <p className="text-gray-500 mt-1 font-mono">Reg #{profile.agent.regNum}</p>
+            {profile.agent.nameVariants.length > 1 && (
+              <p className="text-sm text-gray-500 mt-2">
+                Also recorded as{' '}
+                {profile.agent.nameVariants
+                  .filter(variant => variant !== profile.agent.name)
+                  .join(', ')}
+              </p>
+            )}
           </div>
           <div className="text-right">
             <div className="text-sm text-gray-500">Total Transactions</div>
@@ -92,7 +101,7 @@ export default function AgentProfile({ datasetId, regNum, onBack }) {
             <div>
               <div className="text-sm text-gray-500 mb-1">Active Period</div>
               <div className="font-semibold">
-                {profile.dateRange.start} - {profile.dateRange.end}
+                {formatPeriod(profile.dateRange.start)} - {formatPeriod(profile.dateRange.end)}
               </div>
             </div>
             <div>
@@ -0,0 +1,68 @@
+import { useState } from 'react';
+import { useAgentConcentration } from '../../hooks/useAnalytics';
+import LineChart from '../visualizations/LineChart';
+import { formatPeriod } from '../../utils/periods';
+
+const METRICS = [
+  { key: 'hhi', label: 'HHI', description: 'Sum of squared market shares (0-10,000); above 1,500 is usually read as concentrated' },
+  { key: 'gini', label: 'Gini Coefficient', description: '0 when every agent is equally busy, approaching 1 when a few agents handle everything' },
+  { key: 'top1Share', label: 'Top Agent Share (%)', description: 'Share of transactions handled by the busiest agent' },
+  { key: 'top10Share', label: 'Top 10 Share (%)', description: 'Share of transactions handled by the ten busiest agents' },
+  { key: 'top100Share', label: 'Top 100 Share (%)', description: 'Share of transactions handled by the hundred busiest agents' },
+  { key: 'medianAgentShare', label: 'Median Agent Share (%)', description: 'Share of transactions handled by the median agent' }
+];
+
+export default function ConcentrationTrend({ datasetId, filters }) {
+  const [metricKey, setMetricKey] = useState('hhi');
+  const [period, setPeriod] = useState('year');
+  const { data, loading, error } = useAgentConcentration(datasetId, period, filters);
+
+  const metric = METRICS.find(m => m.key === metricKey);
+  const chartData = (data?.periods || []).map(row => ({
+    period: period === 'month' ? formatPeriod(row.period) : row.period,
+    [metric.label]: row[metric.key]
+  }));
+
+  return (
+    <div className="card">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+        <h3 className="text-xl font-bold">Market Concentration</h3>
+        <div className="flex items-center gap-3">
+          <select
+            value={metricKey}
+            onChange={(e) => setMetricKey(e.target.value)}
+            aria-label="Concentration metric"
+            className="px-3 py-2 text-sm bg-white border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+          >
+            {METRICS.map(m => (
+              <option key={m.key} value={m.key}>{m.label}</option>
+            ))}
+          </select>
+          <select
+            value={period}
+            onChange={(e) => setPeriod(e.target.value)}
+            aria-label="Concentration period"
+            className="px-3 py-2 text-sm bg-white border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+          >
+            <option value="year">Yearly</option>
+            <option value="month">Monthly</option>
+          </select>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center h-64 text-gray-500">
+          Loading market concentration...
+        </div>
+      ) : error ? (
+        <div className="flex items-center justify-center h-64 text-gray-500">
+          Failed to load market concentration: {error}
+        </div>
+      ) : (
+        <LineChart data={chartData} xKey="period" lines={[metric.label]} />
+      )}
+
+      <p className="text-xs text-gray-500 mt-2">{metric.description}.</p>
+    </div>
+  );
+}
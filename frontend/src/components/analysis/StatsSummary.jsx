@@ -7,12 +7,20 @@ export default function StatsSummary({ schema, metadata }) {
     numeric: 'bg-blue-100 text-blue-800',
     datetime: 'bg-purple-100 text-purple-800',
     categorical: 'bg-green-100 text-green-800',
+    identifier: 'bg-orange-100 text-orange-800',
     text: 'bg-gray-100 text-gray-800'
   };
 
   return (
     <div className="card">
-      <h3 className="text-lg font-semibold text-gray-800 mb-4">Schema Overview</h3>
+      <div className="flex items-baseline justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-800">Schema Overview</h3>
+        {metadata?.rowCount !== undefined && (
+          <span className="text-sm text-gray-500">
+            {metadata.rowCount.toLocaleString()} rows analyzed
+          </span>
+        )}
+      </div>
 
       <div className="overflow-x-auto">
         <table className="min-w-full divide-y divide-gray-200">
@@ -24,6 +32,9 @@ export default function StatsSummary({ schema, metadata }) {
               <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                 Type
               </th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Completeness
+              </th>
               <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                 Statistics
               </th>
@@ -45,6 +56,9 @@ export default function StatsSummary({ schema, metadata }) {
                     {column.type}
                   </span>
                 </td>
+                <td className="px-4 py-3 text-sm text-gray-600">
+                  <Completeness stats={column.stats} />
+                </td>
                 <td className="px-4 py-3 text-sm text-gray-600">
                   <ColumnStats stats={column.stats} type={column.type} />
                 </td>
@@ -57,6 +71,48 @@ export default function StatsSummary({ schema, metadata }) {
   );
 }
 
+function formatRate(rate) {
+  return `${(rate * 100).toFixed(1)}%`;
+}
+
+function Completeness({ stats }) {
+  if (!stats || stats.nullRate === undefined) return null;
+
+  const present = 1 - stats.nullRate - stats.placeholderRate;
+
+  return (
+    <div className="space-y-1 min-w-[10rem]">
+      <div className="flex h-2 rounded overflow-hidden bg-gray-100">
+        <div className="bg-green-500" style={{ width: formatRate(present) }} />
+        <div className="bg-yellow-400" style={{ width: formatRate(stats.placeholderRate) }} />
+        <div className="bg-red-400" style={{ width: formatRate(stats.nullRate) }} />
+      </div>
+      <div className="text-xs">{formatRate(present)} present</div>
+      {stats.placeholderCount > 0 && (
+        <div className="text-xs text-yellow-700">
+          {formatRate(stats.placeholderRate)} placeholder ("-")
+        </div>
+      )}
+      {stats.nullCount > 0 && (
+        <div className="text-xs text-red-600">{formatRate(stats.nullRate)} empty</div>
+      )}
+    </div>
+  );
+}
+
+function TopValues({ values }) {
+  return (
+    <div className="space-y-1">
+      {values.slice(0, 3).map(v => (
+        <div key={v.value} className="flex justify-between gap-4 text-xs">
+          <span className="truncate">{v.value}</span>
+          <span className="text-gray-400">{v.percentage}%</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
 function ColumnStats({ stats, type }) {
   if (!stats) return null;
 
@@ -82,15 +138,29 @@ function ColumnStats({ stats, type }) {
   if (type === 'categorical' && stats.topValues) {
     return (
       <div className="space-y-1">
-        <div className="text-xs">Top: {stats.topValues.slice(0, 3).map(v => v.value).join(', ')}</div>
+        <TopValues values={stats.topValues} />
         <div className="text-xs text-gray-500">{stats.unique} categories</div>
       </div>
     );
   }
 
+  const unique = `${stats.unique.toLocaleString()}${stats.uniqueCapped ? '+' : ''}`;
+
+  if (type === 'identifier') {
+    return (
+      <div className="space-y-1">
+        <div className="text-xs">{unique} distinct identifiers</div>
+        <div className="text-xs text-gray-500">
+          {(stats.count / Math.max(stats.unique, 1)).toFixed(1)} rows per identifier
+        </div>
+      </div>
+    );
+  }
+
   return (
-    <div className="text-xs text-gray-500">
-      {stats.unique} unique values
+    <div className="space-y-1">
+      {stats.topValues && <TopValues values={stats.topValues} />}
+      <div className="text-xs text-gray-500">{unique} unique values</div>
     </div>
   );
 }
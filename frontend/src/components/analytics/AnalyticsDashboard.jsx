@@ -4,9 +4,47 @@ import PieChart from '../visualizations/PieChart';
 import BarChart from '../visualizations/BarChart';
 import LineChart from '../visualizations/LineChart';
 import FilterPanel from './FilterPanel';
+import ExportButton from './ExportButton';
+import { formatPeriod } from '../../utils/periods';
+import { formatCategory } from '../../utils/labels';
+import { activeFilters } from '../../utils/filters';
 
-export default function AnalyticsDashboard({ datasetId }) {
-  const [filters, setFilters] = useState({});
+export default function AnalyticsDashboard({ datasetId, filters, onFiltersChange }) {
+  // Each step remembers the filters before and after it was applied
+  const [drillPath, setDrillPath] = useState([]);
+
+  // The trail only holds while the filters are still the result of the last drill-down;
+  // editing them in the filter panel starts a new trail
+  const currentKey = JSON.stringify(activeFilters(filters));
+  const trail = drillPath.length > 0 && drillPath[drillPath.length - 1].after === currentKey
+    ? drillPath
+    : [];
+
+  const drillDown = (label, changes) => {
+    const next = { ...filters, ...changes };
+    setDrillPath([
+      ...trail,
+      { label, before: filters, after: JSON.stringify(activeFilters(next)) }
+    ]);
+    onFiltersChange(next);
+  };
+
+  const drillCategory = (column) => (item) => {
+    if (!item || item.name === 'Unknown') return;
+    drillDown(formatCategory(item.name), { [column]: [item.name] });
+  };
+
+  const drillPeriod = (point) => {
+    if (!point?.period) return;
+    drillDown(formatPeriod(point.period), {
+      transaction_date: { from: point.period, to: point.period }
+    });
+  };
+
+  const stepBack = (index) => {
+    onFiltersChange(trail[index].before);
+    setDrillPath(trail.slice(0, index));
+  };
 
   const { data: insights, loading: insightsLoading } = useMarketInsights(datasetId, filters);
   const { data: transactionTypeData } = useMultiDimensionalAnalytics(datasetId, 'transaction_type', null, filters);
@@ -42,7 +80,39 @@ export default function AnalyticsDashboard({ datasetId }) {
   return (
     <div className="space-y-8">
       {/* Filter Panel */}
-      <FilterPanel filters={filters} onFiltersChange={setFilters} />
+      <FilterPanel
+        datasetId={datasetId}
+        filters={filters}
+        onFiltersChange={onFiltersChange}
+        actions={<ExportButton datasetId={datasetId} filters={filters} />}
+      />
+
+      {/* Drill-down Breadcrumb */}
+      {trail.length > 0 && (
+        <nav className="flex flex-wrap items-center gap-2 text-sm" aria-label="Drill-down">
+          <button
+            onClick={() => stepBack(0)}
+            className="text-primary-600 hover:text-primary-800 font-medium"
+          >
+            All transactions
+          </button>
+          {trail.map((step, index) => (
+            <span key={index} className="flex items-center gap-2">
+              <span className="text-gray-400">/</span>
+              {index === trail.length - 1 ? (
+                <span className="font-medium text-gray-900">{step.label}</span>
+              ) : (
+                <button
+                  onClick={() => stepBack(index + 1)}
+                  className="text-primary-600 hover:text-primary-800 font-medium"
+                >
+                  {step.label}
+                </button>
+              )}
+            </span>
+          ))}
+        </nav>
+      )}
 
       {/* Key Metrics Cards */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
@@ -53,7 +123,7 @@ export default function AnalyticsDashboard({ datasetId }) {
         <div className="card">
           <div className="text-sm text-gray-500 mb-1">Date Range</div>
           <div className="text-2xl font-bold text-sm">
-            {insights.summary.dateRange.start} to {insights.summary.dateRange.end}
+            {formatPeriod(insights.summary.dateRange.start)} to {formatPeriod(insights.summary.dateRange.end)}
           </div>
         </div>
         <div className="card">
@@ -78,6 +148,7 @@ export default function AnalyticsDashboard({ datasetId }) {
               dataKey="value"
               nameKey="name"
               title="Transaction Types"
+              onSelect={drillCategory('transaction_type')}
             />
           </div>
           <div className="card">
@@ -86,6 +157,7 @@ export default function AnalyticsDashboard({ datasetId }) {
               dataKey="value"
               nameKey="name"
               title="Buyer vs Seller Representation"
+              onSelect={drillCategory('represented')}
             />
           </div>
         </div>
@@ -100,6 +172,7 @@ export default function AnalyticsDashboard({ datasetId }) {
             xKey="period"
             lines={['count']}
             title="Monthly Transactions (Last 24 Months)"
+            onSelect={drillPeriod}
           />
         </div>
       </div>
@@ -113,6 +186,7 @@ export default function AnalyticsDashboard({ datasetId }) {
             xKey="name"
             yKey="count"
             title="Top Property Types"
+            onSelect={drillCategory('property_type')}
           />
         </div>
       </div>
@@ -0,0 +1,54 @@
+import { useState, useRef, useEffect } from 'react';
+import { getExportUrl } from '../../hooks/useAnalytics';
+
+const EXPORT_FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'ndjson', label: 'NDJSON' },
+  { value: 'json', label: 'JSON' }
+];
+
+export default function ExportButton({ datasetId, filters }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    function handleClickOutside(event) {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    }
+
+    if (isOpen) {
+      document.addEventListener('mousedown', handleClickOutside);
+      return () => document.removeEventListener('mousedown', handleClickOutside);
+    }
+  }, [isOpen]);
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className="btn-secondary text-sm py-1.5"
+      >
+        Export
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 z-10 mt-1 w-40 bg-white border border-gray-300 rounded-lg shadow-lg py-1">
+          {EXPORT_FORMATS.map(({ value, label }) => (
+            <a
+              key={value}
+              href={getExportUrl(datasetId, value, filters)}
+              download
+              onClick={() => setIsOpen(false)}
+              className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-50 transition-colors"
+            >
+              Download {label}
+            </a>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,30 +1,89 @@
 import { useState, useRef, useEffect } from 'react';
+import { useFacets } from '../../hooks/useAnalytics';
+import { formatCategory } from '../../utils/labels';
+import { isActiveFilter, selectedValues } from '../../utils/filters';
 
-const PROPERTY_TYPES = [
-  { value: 'CONDOMINIUM_APARTMENTS', label: 'Condominium/Apartments' },
-  { value: 'HDB', label: 'HDB' },
-  { value: 'LANDED', label: 'Landed' },
-  { value: 'EXECUTIVE_CONDOMINIUM', label: 'Executive Condominium' },
-  { value: 'STRATA_LANDED', label: 'Strata Landed' }
-];
-
-const TRANSACTION_TYPES = [
-  { value: 'WHOLE RENTAL', label: 'Whole Rental' },
-  { value: 'RESALE', label: 'Resale' },
-  { value: 'ROOM RENTAL', label: 'Room Rental' },
-  { value: 'NEW SALE', label: 'New Sale' },
-  { value: 'SUB-SALE', label: 'Sub-Sale' }
-];
-
-const REPRESENTATION_TYPES = [
-  { value: 'LANDLORD', label: 'Landlord' },
-  { value: 'SELLER', label: 'Seller' },
-  { value: 'BUYER', label: 'Buyer' },
-  { value: 'TENANT', label: 'Tenant' }
-];
-
-function MultiSelectDropdown({ label, options, selected = [], onChange, fieldName }) {
+/**
+ * Build dropdown options from a facet, keeping selected values that no longer appear in it
+ * @param {Array} facet - [{ value, count }] from the facets endpoint
+ * @param {Array} selected - Currently selected values
+ * @param {Function} formatLabel - Turns a raw value into its display label
+ * @returns {Array} [{ value, label, count }]
+ */
+function toOptions(facet = [], selected = [], formatLabel = formatCategory) {
+  const options = facet.map(({ value, count }) => ({ value, label: formatLabel(value), count }));
+  const missing = selected
+    .filter(value => !facet.some(option => option.value === value))
+    .map(value => ({ value, label: formatLabel(value), count: 0 }));
+  return [...options, ...missing];
+}
+
+// Operators each control can show; any other condition in the filters is listed as a chip instead
+const PANEL_OPERATORS = {
+  property_type: ['in'],
+  transaction_type: ['in'],
+  represented: ['in'],
+  town: ['in'],
+  district: ['in'],
+  transaction_date: ['from', 'to']
+};
+
+const OPERATOR_LABELS = {
+  in: 'is',
+  not_in: 'is not',
+  eq: 'is',
+  ne: 'is not',
+  like: 'matches',
+  prefix: 'starts with',
+  contains: 'contains',
+  from: 'from',
+  to: 'to'
+};
+
+/**
+ * Active conditions no control in the panel can show, one per column and operator
+ * Plain lists count as `in` and single values as `eq`.
+ * @param {Object} filters - Filters object
+ * @returns {Array} [{ column, op, operand }]
+ */
+function uneditableConditions(filters) {
+  const conditions = [];
+
+  Object.entries(filters).forEach(([column, value]) => {
+    if (!isActiveFilter(value)) return;
+    const editable = PANEL_OPERATORS[column] || [];
+
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      const op = Array.isArray(value) ? 'in' : 'eq';
+      if (!editable.includes(op)) conditions.push({ column, op, operand: value });
+      return;
+    }
+
+    Object.entries(value).forEach(([op, operand]) => {
+      if (isActiveFilter(operand) && !editable.includes(op)) {
+        conditions.push({ column, op, operand });
+      }
+    });
+  });
+
+  return conditions;
+}
+
+function describeCondition({ column, op, operand }) {
+  if (op === 'is_null') {
+    return `${formatCategory(column)} ${operand ? 'is empty' : 'is not empty'}`;
+  }
+  const text = Array.isArray(operand) ? operand.join(', ') : String(operand);
+  return `${formatCategory(column)} ${OPERATOR_LABELS[op] || op} ${text}`;
+}
+
+function formatDistrict(value) {
+  return `District ${value}`;
+}
+
+function MultiSelectDropdown({ label, options, selected = [], onChange, fieldName, searchable = false }) {
   const [isOpen, setIsOpen] = useState(false);
+  const [query, setQuery] = useState('');
   const dropdownRef = useRef(null);
 
   useEffect(() => {
@@ -38,8 +97,13 @@ function MultiSelectDropdown({ label, options, selected = [], onChange, fieldNam
       document.addEventListener('mousedown', handleClickOutside);
       return () => document.removeEventListener('mousedown', handleClickOutside);
     }
+    setQuery('');
   }, [isOpen]);
 
+  const visibleOptions = query
+    ? options.filter(o => o.label.toLowerCase().includes(query.toLowerCase()))
+    : options;
+
   const handleToggle = (value) => {
     const newSelected = selected.includes(value)
       ? selected.filter(v => v !== value)
@@ -100,11 +164,28 @@ function MultiSelectDropdown({ label, options, selected = [], onChange, fieldNam
 
       {isOpen && (
         <div className="absolute z-10 w-full mt-1 bg-white border border-gray-300 rounded-lg shadow-lg max-h-60 overflow-auto">
+          {searchable && (
+            <div className="sticky top-0 bg-white p-2 border-b border-gray-200">
+              <input
+                type="text"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                placeholder={`Search ${label.toLowerCase()}...`}
+                autoFocus
+                className="w-full px-3 py-1.5 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              />
+            </div>
+          )}
           <div className="py-1">
-            {options.map(({ value, label }) => (
+            {visibleOptions.length === 0 && (
+              <div className="px-4 py-2 text-sm text-gray-500">No options</div>
+            )}
+            {visibleOptions.map(({ value, label, count }) => (
               <label
                 key={value}
-                className="flex items-center px-4 py-2 hover:bg-gray-50 cursor-pointer transition-colors"
+                className={`flex items-center px-4 py-2 hover:bg-gray-50 cursor-pointer transition-colors ${
+                  count === 0 && !selected.includes(value) ? 'opacity-50' : ''
+                }`}
               >
                 <input
                   type="checkbox"
@@ -112,9 +193,12 @@ function MultiSelectDropdown({ label, options, selected = [], onChange, fieldNam
                   onChange={() => handleToggle(value)}
                   className="w-4 h-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
                 />
-                <span className="ml-3 text-sm text-gray-700">
+                <span className="ml-3 flex-1 text-sm text-gray-700">
                   {label}
                 </span>
+                <span className="ml-2 text-xs text-gray-400">
+                  {count.toLocaleString()}
+                </span>
               </label>
             ))}
           </div>
@@ -124,20 +208,85 @@ function MultiSelectDropdown({ label, options, selected = [], onChange, fieldNam
   );
 }
 
-export default function FilterPanel({ filters, onFiltersChange }) {
+/**
+ * Pair of month inputs writing a { from, to } range filter ("YYYY-MM" bounds, both optional)
+ */
+function MonthRangePicker({ label, value, onChange }) {
+  const range = value !== null && typeof value === 'object' && !Array.isArray(value) ? value : {};
+
+  const handleChange = (bound, month) => {
+    onChange({ ...range, [bound]: month || undefined });
+  };
+
+  const inputClassName = 'w-full px-3 py-2 text-sm text-gray-900 bg-white border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">
+        {label}
+      </label>
+      <div className="flex items-center gap-2">
+        <input
+          type="month"
+          value={range.from || ''}
+          max={range.to || undefined}
+          onChange={(e) => handleChange('from', e.target.value)}
+          aria-label={`${label} from`}
+          className={inputClassName}
+        />
+        <span className="text-sm text-gray-400">to</span>
+        <input
+          type="month"
+          value={range.to || ''}
+          min={range.from || undefined}
+          onChange={(e) => handleChange('to', e.target.value)}
+          aria-label={`${label} to`}
+          className={inputClassName}
+        />
+      </div>
+    </div>
+  );
+}
+
+export default function FilterPanel({ datasetId, filters, onFiltersChange, actions = null }) {
+  const { data: facetData } = useFacets(datasetId, filters);
+  const facets = facetData?.facets || {};
+
   const handleFilterChange = (field, values) => {
     onFiltersChange({
       ...filters,
-      [field]: values.length > 0 ? values : undefined
+      [field]: isActiveFilter(values) ? values : undefined
     });
   };
 
+  // Multi-selects only edit the `in` list, so other operators on the column (a column search, say) stay
+  const handleSelectChange = (field, values) => {
+    const value = filters[field];
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      handleFilterChange(field, { ...value, in: values.length > 0 ? values : undefined });
+      return;
+    }
+    handleFilterChange(field, values);
+  };
+
+  // Drop one operator from a column's filter, or the whole filter when it is a plain value
+  const handleRemoveCondition = ({ column, op }) => {
+    const value = filters[column];
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      handleFilterChange(column, undefined);
+      return;
+    }
+    const { [op]: _removed, ...rest } = value;
+    handleFilterChange(column, rest);
+  };
+
   const handleReset = () => {
     onFiltersChange({});
   };
 
-  const hasActiveFilters = Object.keys(filters).some(key => filters[key]?.length > 0);
-  const activeFilterCount = Object.values(filters).filter(v => v?.length > 0).length;
+  const activeFilterCount = Object.values(filters).filter(isActiveFilter).length;
+  const hasActiveFilters = activeFilterCount > 0;
+  const otherConditions = uneditableConditions(filters);
 
   return (
     <div className="card mb-6">
@@ -150,41 +299,90 @@ export default function FilterPanel({ filters, onFiltersChange }) {
             </span>
           )}
         </div>
-        {hasActiveFilters && (
-          <button
-            onClick={handleReset}
-            className="text-sm text-gray-600 hover:text-gray-900 font-medium transition-colors"
-          >
-            Reset All
-          </button>
-        )}
+        <div className="flex items-center gap-4">
+          {hasActiveFilters && (
+            <button
+              onClick={handleReset}
+              className="text-sm text-gray-600 hover:text-gray-900 font-medium transition-colors"
+            >
+              Reset All
+            </button>
+          )}
+          {actions}
+        </div>
       </div>
 
       <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
         <MultiSelectDropdown
           label="Property Type"
-          options={PROPERTY_TYPES}
-          selected={filters.property_type || []}
-          onChange={(values) => handleFilterChange('property_type', values)}
+          options={toOptions(facets.property_type, selectedValues(filters.property_type))}
+          selected={selectedValues(filters.property_type)}
+          onChange={(values) => handleSelectChange('property_type', values)}
           fieldName="property_type"
         />
 
         <MultiSelectDropdown
           label="Transaction Type"
-          options={TRANSACTION_TYPES}
-          selected={filters.transaction_type || []}
-          onChange={(values) => handleFilterChange('transaction_type', values)}
+          options={toOptions(facets.transaction_type, selectedValues(filters.transaction_type))}
+          selected={selectedValues(filters.transaction_type)}
+          onChange={(values) => handleSelectChange('transaction_type', values)}
           fieldName="transaction_type"
         />
 
         <MultiSelectDropdown
           label="Representation"
-          options={REPRESENTATION_TYPES}
-          selected={filters.represented || []}
-          onChange={(values) => handleFilterChange('represented', values)}
+          options={toOptions(facets.represented, selectedValues(filters.represented))}
+          selected={selectedValues(filters.represented)}
+          onChange={(values) => handleSelectChange('represented', values)}
           fieldName="represented"
         />
+
+        <MultiSelectDropdown
+          label="Town"
+          options={toOptions(facets.town, selectedValues(filters.town))}
+          selected={selectedValues(filters.town)}
+          onChange={(values) => handleSelectChange('town', values)}
+          fieldName="town"
+          searchable
+        />
+
+        <MultiSelectDropdown
+          label="District"
+          options={toOptions(facets.district, selectedValues(filters.district), formatDistrict)}
+          selected={selectedValues(filters.district)}
+          onChange={(values) => handleSelectChange('district', values)}
+          fieldName="district"
+          searchable
+        />
+
+        <MonthRangePicker
+          label="Transaction Month"
+          value={filters.transaction_date}
+          onChange={(range) => handleFilterChange('transaction_date', range)}
+        />
       </div>
+
+      {otherConditions.length > 0 && (
+        <div className="flex flex-wrap gap-2 mt-4">
+          {otherConditions.map(condition => (
+            <span
+              key={`${condition.column}.${condition.op}`}
+              className="inline-flex items-center gap-1 px-3 py-1 bg-gray-100 text-gray-700 text-xs font-medium rounded-full"
+            >
+              {describeCondition(condition)}
+              <button
+                onClick={() => handleRemoveCondition(condition)}
+                className="text-gray-400 hover:text-gray-600 transition-colors"
+                aria-label={`Remove filter: ${describeCondition(condition)}`}
+              >
+                <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,39 @@
+import FilterPanel from './FilterPanel';
+import ChartRenderer from '../visualizations/ChartRenderer';
+
+export default function RecommendedDashboard({ dataset, filters, onFiltersChange }) {
+  const recommendations = dataset.visualizationRecommendations || [];
+  const charts = recommendations.filter(r => r.type !== 'table');
+  const tables = recommendations.filter(r => r.type === 'table');
+
+  if (recommendations.length === 0) {
+    return (
+      <div className="flex items-center justify-center h-96">
+        <div className="text-gray-500">No recommendations available for this dataset</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <FilterPanel datasetId={dataset.id} filters={filters} onFiltersChange={onFiltersChange} />
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {charts.map(recommendation => (
+          <div
+            key={recommendation.priority}
+            className={`card ${recommendation.type === 'heatmap' || recommendation.priority === 1 ? 'lg:col-span-2' : ''}`}
+          >
+            <ChartRenderer recommendation={recommendation} dataset={dataset} filters={filters} />
+          </div>
+        ))}
+      </div>
+
+      {tables.map(recommendation => (
+        <div key={recommendation.priority} className="card">
+          <ChartRenderer recommendation={recommendation} dataset={dataset} filters={filters} />
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,20 @@
+import FilterPanel from '../analytics/FilterPanel';
+import ExportButton from '../analytics/ExportButton';
+import DataTable from '../visualizations/DataTable';
+
+export default function DataExplorer({ datasetId, schema, filters, onFiltersChange }) {
+  return (
+    <div className="space-y-6">
+      <FilterPanel
+        datasetId={datasetId}
+        filters={filters}
+        onFiltersChange={onFiltersChange}
+        actions={<ExportButton datasetId={datasetId} filters={filters} />}
+      />
+
+      <div className="card">
+        <DataTable datasetId={datasetId} schema={schema} filters={filters} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,133 @@
+import { useState, useEffect, useRef } from 'react';
+import { useSearch } from '../../hooks/useAnalytics';
+
+const TYPE_STYLES = {
+  agent: 'bg-primary-100 text-primary-700',
+  town: 'bg-green-100 text-green-800',
+  district: 'bg-purple-100 text-purple-800'
+};
+
+export default function GlobalSearch({ datasetId, onSelect }) {
+  const [query, setQuery] = useState('');
+  const [debouncedQuery, setDebouncedQuery] = useState('');
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const containerRef = useRef(null);
+
+  // Debounce so we only hit the search index once typing pauses
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedQuery(query);
+    }, 200);
+
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  useEffect(() => {
+    function handleClickOutside(event) {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    }
+
+    if (isOpen) {
+      document.addEventListener('mousedown', handleClickOutside);
+      return () => document.removeEventListener('mousedown', handleClickOutside);
+    }
+  }, [isOpen]);
+
+  const { data, loading, error } = useSearch(datasetId, debouncedQuery);
+  const results = data?.results || [];
+
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [data]);
+
+  const handleSelect = (result) => {
+    onSelect(result);
+    setQuery('');
+    setIsOpen(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex(Math.min(activeIndex + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(Math.max(activeIndex - 1, 0));
+    } else if (e.key === 'Enter' && results[activeIndex]) {
+      e.preventDefault();
+      handleSelect(results[activeIndex]);
+    } else if (e.key === 'Escape') {
+      setIsOpen(false);
+    }
+  };
+
+  if (!datasetId) {
+    return null;
+  }
+
+  return (
+    <div className="relative w-full max-w-md" ref={containerRef}>
+      <input
+        type="text"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setIsOpen(true);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onKeyDown={handleKeyDown}
+        placeholder="Search agents, towns, districts..."
+        className="w-full px-4 py-2 pl-10 text-sm text-gray-900 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+      />
+      <svg
+        className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-gray-400"
+        fill="none"
+        stroke="currentColor"
+        viewBox="0 0 24 24"
+      >
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+      </svg>
+
+      {isOpen && query.trim() && (
+        <div className="absolute z-20 w-full mt-1 bg-white border border-gray-300 rounded-lg shadow-lg max-h-80 overflow-auto">
+          {loading && results.length === 0 && (
+            <div className="px-4 py-3 text-sm text-gray-500">Searching...</div>
+          )}
+          {error && (
+            <div className="px-4 py-3 text-sm text-red-600">Search failed: {error}</div>
+          )}
+          {!loading && !error && results.length === 0 && debouncedQuery === query && (
+            <div className="px-4 py-3 text-sm text-gray-500">No matches</div>
+          )}
+          {results.map((result, index) => (
+            <button
+              key={`${result.type}-${result.value}`}
+              type="button"
+              onMouseEnter={() => setActiveIndex(index)}
+              onClick={() => handleSelect(result)}
+              className={`w-full flex items-center justify-between gap-3 px-4 py-2 text-left transition-colors ${
+                index === activeIndex ? 'bg-gray-50' : ''
+              }`}
+            >
+              <div className="min-w-0">
+                <div className="text-sm font-medium text-gray-900 truncate">{result.label}</div>
+                {result.detail && (
+                  <div className="text-xs text-gray-500 truncate">{result.detail}</div>
+                )}
+              </div>
+              <div className="flex items-center gap-2 shrink-0">
+                <span className="text-xs text-gray-400">{result.count.toLocaleString()}</span>
+                <span className={`px-2 py-0.5 rounded text-xs font-medium capitalize ${TYPE_STYLES[result.type]}`}>
+                  {result.type}
+                </span>
+              </div>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,7 +1,8 @@
 import React from 'react';
 import { format } from 'date-fns';
+import GlobalSearch from './GlobalSearch';
 
-export default function Header({ catalog }) {
+export default function Header({ catalog, datasetId, onSearchSelect }) {
   const lastUpdated = catalog?.lastUpdated
     ? format(new Date(catalog.lastUpdated), 'MMM d, yyyy HH:mm')
     : 'Unknown';
@@ -9,8 +10,8 @@ export default function Header({ catalog }) {
   return (
     <header className="bg-white shadow-sm border-b border-gray-200">
       <div className="px-6 py-4">
-        <div className="flex items-center justify-between">
-          <div>
+        <div className="flex items-center justify-between gap-6">
+          <div className="shrink-0">
             <h1 className="text-2xl font-bold text-primary-700">
               CEA-VIZ
             </h1>
@@ -19,7 +20,11 @@ export default function Header({ catalog }) {
             </p>
           </div>
 
-          <div className="text-right">
+          <div className="flex-1 flex justify-center">
+            <GlobalSearch datasetId={datasetId} onSelect={onSearchSelect} />
+          </div>
+
+          <div className="text-right shrink-0">
             <p className="text-xs text-gray-500">Last Updated</p>
             <p className="text-sm font-medium text-gray-700">{lastUpdated}</p>
           </div>
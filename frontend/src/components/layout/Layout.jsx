@@ -2,10 +2,14 @@ import React from 'react';
 import Header from './Header';
 import Sidebar from './Sidebar';
 
-export default function Layout({ children, catalog, selectedDataset, onDatasetSelect }) {
+export default function Layout({ children, catalog, selectedDataset, onDatasetSelect, onSearchSelect }) {
   return (
     <div className="min-h-screen flex flex-col">
-      <Header catalog={catalog} />
+      <Header
+        catalog={catalog}
+        datasetId={selectedDataset}
+        onSearchSelect={onSearchSelect}
+      />
 
       <div className="flex flex-1">
         <Sidebar
@@ -1,6 +1,9 @@
 import { BarChart as RechartsBar, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
 
-export default function BarChart({ data, xKey, yKey, title, color = '#0ea5e9' }) {
+const COLORS = ['#0ea5e9', '#8b5cf6', '#10b981', '#f59e0b', '#ef4444'];
+
+// Pass `bars` (a list of keys) instead of `yKey` for grouped bars, one series per key
+export default function BarChart({ data, xKey, yKey, bars = null, title, color = '#0ea5e9', onSelect }) {
   if (!data || data.length === 0) {
     return (
       <div className="flex items-center justify-center h-64 text-gray-500">
@@ -19,7 +22,18 @@ export default function BarChart({ data, xKey, yKey, title, color = '#0ea5e9' })
           <YAxis />
           <Tooltip />
           <Legend />
-          <Bar dataKey={yKey} fill={color} />
+          {bars ? (
+            bars.map((barKey, index) => (
+              <Bar key={barKey} dataKey={barKey} fill={COLORS[index % COLORS.length]} />
+            ))
+          ) : (
+            <Bar
+              dataKey={yKey}
+              fill={color}
+              onClick={onSelect ? (_, index) => onSelect(data[index]) : undefined}
+              cursor={onSelect ? 'pointer' : undefined}
+            />
+          )}
         </RechartsBar>
       </ResponsiveContainer>
     </div>
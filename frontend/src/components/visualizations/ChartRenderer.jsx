@@ -1,7 +1,64 @@
 import React from 'react';
 import DataTable from './DataTable';
+import LineChart from './LineChart';
+import PieChart from './PieChart';
+import BarChart from './BarChart';
+import Heatmap from './Heatmap';
+import { useMultiDimensionalAnalytics, useTimeSeriesData } from '../../hooks/useAnalytics';
+import { formatCategory } from '../../utils/labels';
 
-export default function ChartRenderer({ recommendation, dataset }) {
+function Loading() {
+  return (
+    <div className="flex items-center justify-center h-64 text-gray-500">
+      Loading...
+    </div>
+  );
+}
+
+function LineRecommendation({ datasetId, config, filters }) {
+  const { data, loading } = useTimeSeriesData(datasetId, config.period, config.groupBy, filters);
+  if (loading) return <Loading />;
+
+  const chartData = data?.chartData || [];
+  const lines = config.groupBy
+    ? [...new Set(chartData.flatMap(row => Object.keys(row).filter(key => key !== 'period')))]
+    : ['count'];
+
+  return <LineChart data={chartData} xKey="period" lines={lines} />;
+}
+
+function PieRecommendation({ datasetId, config, filters }) {
+  const { data, loading } = useMultiDimensionalAnalytics(datasetId, config.dimension, null, filters);
+  if (loading) return <Loading />;
+
+  const chartData = (data?.chartData || []).map(item => ({ ...item, name: formatCategory(item.name) }));
+  return <PieChart data={chartData} dataKey="value" nameKey="name" />;
+}
+
+function BarRecommendation({ datasetId, config, filters }) {
+  const { data, loading } = useMultiDimensionalAnalytics(datasetId, config.dimension, null, filters);
+  if (loading) return <Loading />;
+
+  const chartData = (data?.chartData || []).map(item => ({ ...item, name: formatCategory(item.name) }));
+  return <BarChart data={chartData} xKey="name" yKey="value" />;
+}
+
+function HeatmapRecommendation({ datasetId, config, filters }) {
+  const [rows, cols] = config.dimensions;
+  const { data, loading } = useMultiDimensionalAnalytics(datasetId, rows, cols, filters);
+  if (loading) return <Loading />;
+
+  return <Heatmap data={data?.chartData || []} xKey={cols} yKey={rows} formatLabel={formatCategory} />;
+}
+
+const RENDERERS = {
+  line: LineRecommendation,
+  pie: PieRecommendation,
+  bar: BarRecommendation,
+  heatmap: HeatmapRecommendation
+};
+
+export default function ChartRenderer({ recommendation, dataset, filters = {} }) {
   if (!recommendation || !dataset) {
     return (
       <div className="text-center py-12 text-gray-500">
@@ -11,9 +68,9 @@ export default function ChartRenderer({ recommendation, dataset }) {
   }
 
   const { type, config, reasoning } = recommendation;
+  const Renderer = RENDERERS[type];
 
-  // Only support table visualization now
-  if (type !== 'table') {
+  if (type !== 'table' && !Renderer) {
     return (
       <div className="text-center py-12 text-gray-500">
         Unsupported chart type: {type}
@@ -31,10 +88,13 @@ export default function ChartRenderer({ recommendation, dataset }) {
         )}
       </div>
 
-      {/* Table */}
-      <div className="bg-gray-50 rounded-lg p-4">
-        <DataTable data={dataset.data} schema={dataset.schema} />
-      </div>
+      {type === 'table' ? (
+        <div className="bg-gray-50 rounded-lg p-4">
+          <DataTable datasetId={dataset.id} schema={dataset.schema} filters={filters} />
+        </div>
+      ) : (
+        <Renderer datasetId={dataset.id} config={config} filters={filters} />
+      )}
     </div>
   );
 }
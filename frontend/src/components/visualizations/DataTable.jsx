@@ -1,56 +1,83 @@
-import React, { useState, useMemo } from 'react';
+import React, { useState, useEffect } from 'react';
+import { useDatasetRows } from '../../hooks/useAnalytics';
+
+// Columns whose raw text doesn't sort chronologically are sorted by a derived column instead
+const SORT_COLUMNS = {
+  transaction_date: 'period'
+};
+
+/**
+ * Combine panel filters with per-column search text into one filters object
+ * Search text becomes a case-insensitive "contains" match alongside any existing filter on that column.
+ * @param {Object} filters - Filters from the filter panel
+ * @param {Object} searches - Map of column name to search text
+ * @returns {Object} Filters for the data endpoint
+ */
+function withColumnSearches(filters, searches) {
+  const combined = { ...filters };
+
+  Object.entries(searches).forEach(([column, text]) => {
+    if (!text.trim()) return;
+
+    const existing = combined[column];
+    const operators = Array.isArray(existing)
+      ? { in: existing }
+      : existing !== null && typeof existing === 'object'
+        ? existing
+        : existing !== undefined ? { eq: existing } : {};
+
+    // The server escapes `contains` text, so % and _ are matched literally; a `contains` already on the column is kept
+    const contains = operators.contains !== undefined ? [].concat(operators.contains) : [];
+    combined[column] = { ...operators, contains: [...contains, text.trim()] };
+  });
+
+  return combined;
+}
 
-export default function DataTable({ data, schema }) {
+export default function DataTable({ datasetId, schema, filters = {}, rowsPerPage = 25 }) {
   const [sortColumn, setSortColumn] = useState(null);
   const [sortDirection, setSortDirection] = useState('asc');
-  const [currentPage, setCurrentPage] = useState(0);
-  const [searchTerm, setSearchTerm] = useState('');
-  const rowsPerPage = 25;
+  const [paging, setPaging] = useState({ key: null, cursors: [null] }); // cursor for each visited page
+  const [searches, setSearches] = useState({});
+  const [debouncedSearches, setDebouncedSearches] = useState({});
+  const [total, setTotal] = useState(null);
 
   const columns = schema?.columns || [];
   const columnNames = columns.map(c => c.name);
 
-  // Filter data based on search term
-  const filteredData = useMemo(() => {
-    if (!searchTerm) return data;
-
-    return data.filter(row =>
-      Object.values(row).some(value =>
-        String(value).toLowerCase().includes(searchTerm.toLowerCase())
-      )
-    );
-  }, [data, searchTerm]);
-
-  // Sort data
-  const sortedData = useMemo(() => {
-    if (!sortColumn) return filteredData;
-
-    return [...filteredData].sort((a, b) => {
-      const aVal = a[sortColumn];
-      const bVal = b[sortColumn];
-
-      if (aVal === null) return 1;
-      if (bVal === null) return -1;
-
-      if (typeof aVal === 'number' && typeof bVal === 'number') {
-        return sortDirection === 'asc' ? aVal - bVal : bVal - aVal;
-      }
-
-      const aStr = String(aVal);
-      const bStr = String(bVal);
-      return sortDirection === 'asc'
-        ? aStr.localeCompare(bStr)
-        : bStr.localeCompare(aStr);
-    });
-  }, [filteredData, sortColumn, sortDirection]);
-
-  // Paginate data
-  const paginatedData = sortedData.slice(
-    currentPage * rowsPerPage,
-    (currentPage + 1) * rowsPerPage
-  );
+  // Debounce column searches so each keystroke doesn't query the server
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedSearches(searches);
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [searches]);
+
+  const queryFilters = withColumnSearches(filters, debouncedSearches);
+  const queryKey = JSON.stringify([queryFilters, sortColumn, sortDirection]);
+
+  // Cursors only apply to the listing they came from; any change starts again from the first page
+  const cursors = paging.key === queryKey ? paging.cursors : [null];
+  const currentPage = cursors.length - 1;
+  const { data, loading, error } = useDatasetRows(datasetId, {
+    filters: queryFilters,
+    sort: sortColumn ? SORT_COLUMNS[sortColumn] || sortColumn : 'id',
+    order: sortDirection,
+    cursor: cursors[currentPage],
+    limit: rowsPerPage,
+    // Only the first page counts matching rows; later pages reuse that total
+    includeTotal: currentPage === 0
+  });
+
+  useEffect(() => {
+    if (data && currentPage === 0) {
+      setTotal(data.pagination.total);
+    }
+  }, [data, currentPage]);
 
-  const totalPages = Math.ceil(sortedData.length / rowsPerPage);
+  const rows = data?.data || [];
+  const totalPages = total !== null ? Math.max(1, Math.ceil(total / rowsPerPage)) : null;
 
   const handleSort = (column) => {
     if (sortColumn === column) {
@@ -61,7 +88,19 @@ export default function DataTable({ data, schema }) {
     }
   };
 
-  if (!data || data.length === 0) {
+  const handleNext = () => {
+    if (data?.pagination.nextCursor) {
+      setPaging({ key: queryKey, cursors: [...cursors, data.pagination.nextCursor] });
+    }
+  };
+
+  const handlePrevious = () => {
+    if (currentPage > 0) {
+      setPaging({ key: queryKey, cursors: cursors.slice(0, -1) });
+    }
+  };
+
+  if (columnNames.length === 0) {
     return (
       <div className="text-center py-12 text-gray-500">
         No data available
@@ -71,21 +110,14 @@ export default function DataTable({ data, schema }) {
 
   return (
     <div className="space-y-4">
-      {/* Search */}
-      <div className="flex items-center gap-4">
-        <input
-          type="text"
-          placeholder="Search..."
-          value={searchTerm}
-          onChange={(e) => {
-            setSearchTerm(e.target.value);
-            setCurrentPage(0);
-          }}
-          className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
-        />
-        <div className="text-sm text-gray-600">
-          {sortedData.length} {sortedData.length === 1 ? 'row' : 'rows'}
-        </div>
+      {/* Summary */}
+      <div className="flex items-center justify-between text-sm text-gray-600">
+        <span>
+          {total !== null
+            ? `${total.toLocaleString()} ${total === 1 ? 'row' : 'rows'}`
+            : 'Counting rows...'}
+        </span>
+        {loading && <span className="text-gray-400">Loading...</span>}
       </div>
 
       {/* Table */}
@@ -110,10 +142,24 @@ export default function DataTable({ data, schema }) {
                 </th>
               ))}
             </tr>
+            <tr>
+              {columnNames.map((column) => (
+                <th key={column} className="px-2 pb-2">
+                  <input
+                    type="text"
+                    placeholder="Search..."
+                    value={searches[column] || ''}
+                    onChange={(e) => setSearches({ ...searches, [column]: e.target.value })}
+                    aria-label={`Search ${column}`}
+                    className="w-full min-w-[6rem] px-2 py-1 text-xs font-normal border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-primary-500"
+                  />
+                </th>
+              ))}
+            </tr>
           </thead>
-          <tbody className="bg-white divide-y divide-gray-200">
-            {paginatedData.map((row, rowIndex) => (
-              <tr key={rowIndex} className="hover:bg-gray-50">
+          <tbody className={`bg-white divide-y divide-gray-200 ${loading ? 'opacity-50' : ''}`}>
+            {rows.map((row) => (
+              <tr key={row.id} className="hover:bg-gray-50">
                 {columnNames.map((column) => (
                   <td key={column} className="px-4 py-3 text-sm text-gray-900 whitespace-nowrap">
                     {formatCellValue(row[column])}
@@ -121,28 +167,35 @@ export default function DataTable({ data, schema }) {
                 ))}
               </tr>
             ))}
+            {!loading && rows.length === 0 && (
+              <tr>
+                <td colSpan={columnNames.length} className="px-4 py-12 text-center text-sm text-gray-500">
+                  {error ? `Failed to load rows: ${error}` : 'No matching rows'}
+                </td>
+              </tr>
+            )}
           </tbody>
         </table>
       </div>
 
       {/* Pagination */}
-      {totalPages > 1 && (
+      {(currentPage > 0 || data?.pagination.hasMore) && (
         <div className="flex items-center justify-between">
           <button
-            onClick={() => setCurrentPage(Math.max(0, currentPage - 1))}
-            disabled={currentPage === 0}
+            onClick={handlePrevious}
+            disabled={currentPage === 0 || loading}
             className="btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
           >
             Previous
           </button>
 
           <div className="text-sm text-gray-600">
-            Page {currentPage + 1} of {totalPages}
+            Page {currentPage + 1}{totalPages !== null && ` of ${totalPages.toLocaleString()}`}
           </div>
 
           <button
-            onClick={() => setCurrentPage(Math.min(totalPages - 1, currentPage + 1))}
-            disabled={currentPage >= totalPages - 1}
+            onClick={handleNext}
+            disabled={!data?.pagination.hasMore || loading}
             className="btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
           >
             Next
@@ -0,0 +1,93 @@
+import React from 'react';
+
+/**
+ * Shade a cell from white to the primary colour by its share of the largest value
+ */
+function cellStyle(value, max) {
+  const intensity = max > 0 ? value / max : 0;
+  return {
+    backgroundColor: `rgba(14, 165, 233, ${0.08 + intensity * 0.92})`,
+    color: intensity > 0.55 ? '#ffffff' : '#1f2937'
+  };
+}
+
+export default function Heatmap({
+  data,
+  xKey,
+  yKey,
+  valueKey = 'count',
+  title,
+  formatLabel = String,
+  formatValue = value => value.toLocaleString(),
+  sortByTotal = true,
+  fillMissing = true
+}) {
+  if (!data || data.length === 0) {
+    return (
+      <div className="flex items-center justify-center h-64 text-gray-500">
+        No data available
+      </div>
+    );
+  }
+
+  // Order both axes by their totals so the densest cells gather in the top left,
+  // or by value for axes with a natural order such as years
+  const totals = (key) => {
+    const sums = new Map();
+    data.forEach(row => sums.set(row[key], (sums.get(row[key]) || 0) + row[valueKey]));
+    return [...sums.entries()]
+      .sort((a, b) => sortByTotal ? b[1] - a[1] : String(a[0]).localeCompare(String(b[0])))
+      .map(([value]) => value);
+  };
+  const xValues = totals(xKey);
+  const yValues = totals(yKey);
+
+  const cells = new Map(data.map(row => [`${row[yKey]}\u0000${row[xKey]}`, row[valueKey]]));
+  const max = Math.max(...data.map(row => row[valueKey]));
+
+  return (
+    <div>
+      {title && <h4 className="text-lg font-semibold mb-4">{title}</h4>}
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-xs">
+          <thead>
+            <tr>
+              <th />
+              {xValues.map(x => (
+                <th key={x} className="px-2 py-1 font-medium text-gray-600 text-center">
+                  {formatLabel(x)}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {yValues.map(y => (
+              <tr key={y}>
+                <th className="px-2 py-1 font-medium text-gray-600 text-left whitespace-nowrap">
+                  {formatLabel(y)}
+                </th>
+                {xValues.map(x => {
+                  const value = cells.get(`${y}\u0000${x}`);
+                  // Combinations that can't occur (rather than ones that didn't) are left blank
+                  if (value === undefined && !fillMissing) {
+                    return <td key={x} className="px-2 py-2 border border-white" />;
+                  }
+                  return (
+                    <td
+                      key={x}
+                      className="px-2 py-2 text-center border border-white"
+                      style={cellStyle(value || 0, max)}
+                      title={`${formatLabel(y)} / ${formatLabel(x)}: ${formatValue(value || 0)}`}
+                    >
+                      {formatValue(value || 0)}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,6 @@
 import { LineChart as RechartsLine, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
 
-export default function LineChart({ data, xKey, lines = [], title }) {
+export default function LineChart({ data, xKey, lines = [], title, onSelect }) {
   if (!data || data.length === 0) {
     return (
       <div className="flex items-center justify-center h-64 text-gray-500">
@@ -11,11 +11,21 @@ export default function LineChart({ data, xKey, lines = [], title }) {
 
   const COLORS = ['#0ea5e9', '#8b5cf6', '#10b981', '#f59e0b', '#ef4444'];
 
+  // Clicks anywhere on the plot resolve to the point under the tooltip cursor
+  const handleClick = (state) => {
+    const point = data.find(d => String(d[xKey]) === String(state?.activeLabel));
+    if (point) onSelect(point);
+  };
+
   return (
     <div>
       {title && <h4 className="text-lg font-semibold mb-4">{title}</h4>}
       <ResponsiveContainer width="100%" height={300}>
-        <RechartsLine data={data}>
+        <RechartsLine
+          data={data}
+          onClick={onSelect ? handleClick : undefined}
+          style={onSelect ? { cursor: 'pointer' } : undefined}
+        >
           <CartesianGrid strokeDasharray="3 3" />
           <XAxis dataKey={xKey} />
           <YAxis />
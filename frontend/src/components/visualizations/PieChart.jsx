@@ -2,7 +2,7 @@ import { PieChart as RechartsPie, Pie, Cell, ResponsiveContainer, Legend, Toolti
 
 const COLORS = ['#0ea5e9', '#8b5cf6', '#10b981', '#f59e0b', '#ef4444', '#6366f1', '#ec4899', '#14b8a6'];
 
-export default function PieChart({ data, dataKey, nameKey, title }) {
+export default function PieChart({ data, dataKey, nameKey, title, onSelect }) {
   if (!data || data.length === 0) {
     return (
       <div className="flex items-center justify-center h-64 text-gray-500">
@@ -26,6 +26,8 @@ export default function PieChart({ data, dataKey, nameKey, title }) {
             fill="#8884d8"
             dataKey={dataKey}
             nameKey={nameKey}
+            onClick={onSelect ? (_, index) => onSelect(data[index]) : undefined}
+            cursor={onSelect ? 'pointer' : undefined}
           >
             {data.map((entry, index) => (
               <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
@@ -1,9 +1,80 @@
 import { useState, useEffect } from 'react';
 import axios from 'axios';
+import { appendFilters } from '../utils/filters';
 
 const API_BASE_URL = import.meta.env.VITE_API_URL ||
   (import.meta.env.PROD ? '' : 'http://localhost:3003');
 
+/**
+ * Build the download URL for the streaming export endpoint
+ * @param {string} datasetId - Dataset ID
+ * @param {string} format - "csv", "ndjson" or "json"
+ * @param {Object} filters - Optional filters
+ * @returns {string} Export URL
+ */
+export function getExportUrl(datasetId, format = 'csv', filters = null) {
+  const params = new URLSearchParams({ format });
+  appendFilters(params, filters);
+  return `${API_BASE_URL}/api/datasets/${datasetId}/export?${params}`;
+}
+
+/**
+ * Hook for fetching one page of raw rows from the data endpoint
+ * @param {string} datasetId - Dataset ID
+ * @param {Object} options
+ * @param {Object} options.filters - Optional filters
+ * @param {string} options.sort - Sort column
+ * @param {string} options.order - "asc" or "desc"
+ * @param {string} options.cursor - Cursor from the previous page (null for the first page)
+ * @param {number} options.limit - Rows per page
+ * @param {boolean} options.includeTotal - Whether to count matching rows
+ * @returns {Object} { data, loading, error }
+ */
+export function useDatasetRows(datasetId, { filters = null, sort = 'id', order = 'asc', cursor = null, limit = 25, includeTotal = true } = {}) {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!datasetId) {
+      setData(null);
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    const params = new URLSearchParams({
+      sort,
+      order,
+      limit: limit.toString(),
+      includeTotal: includeTotal.toString()
+    });
+    if (cursor) params.append('cursor', cursor);
+    appendFilters(params, filters);
+
+    const url = `${API_BASE_URL}/api/datasets/${datasetId}/data?${params}`;
+
+    const controller = new AbortController();
+    axios.get(url, { signal: controller.signal })
+      .then(response => {
+        setData(response.data);
+        setLoading(false);
+      })
+      .catch(err => {
+        if (axios.isCancel(err)) return;
+        console.error('Failed to load rows:', err);
+        setError(err.message);
+        setLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [datasetId, sort, order, cursor, limit, includeTotal, JSON.stringify(filters)]);
+
+  return { data, loading, error };
+}
+
 /**
  * Hook for fetching multi-dimensional analytics data
  * @param {string} datasetId - Dataset ID
@@ -29,20 +100,24 @@ export function useMultiDimensionalAnalytics(datasetId, dimension1, dimension2 =
 
     const params = new URLSearchParams({ dimension1 });
     if (dimension2) params.append('dimension2', dimension2);
-    if (filters) params.append('filters', JSON.stringify(filters));
+    appendFilters(params, filters);
 
     const url = `${API_BASE_URL}/api/datasets/${datasetId}/analytics?${params}`;
 
-    axios.get(url)
+    const controller = new AbortController();
+    axios.get(url, { signal: controller.signal })
       .then(response => {
         setData(response.data);
         setLoading(false);
       })
       .catch(err => {
+        if (axios.isCancel(err)) return;
         console.error('Failed to load analytics:', err);
         setError(err.message);
         setLoading(false);
       });
+
+    return () => controller.abort();
   }, [datasetId, dimension1, dimension2, JSON.stringify(filters)]);
 
   return { data, loading, error };
@@ -73,20 +148,24 @@ export function useTimeSeriesData(datasetId, period = 'month', groupBy = null, f
 
     const params = new URLSearchParams({ period });
     if (groupBy) params.append('groupBy', groupBy);
-    if (filters) params.append('filters', JSON.stringify(filters));
+    appendFilters(params, filters);
 
     const url = `${API_BASE_URL}/api/datasets/${datasetId}/timeseries?${params}`;
 
-    axios.get(url)
+    const controller = new AbortController();
+    axios.get(url, { signal: controller.signal })
       .then(response => {
         setData(response.data);
         setLoading(false);
       })
       .catch(err => {
+        if (axios.isCancel(err)) return;
         console.error('Failed to load time series:', err);
         setError(err.message);
         setLoading(false);
       });
+
+    return () => controller.abort();
   }, [datasetId, period, groupBy, JSON.stringify(filters)]);
 
   return { data, loading, error };
@@ -114,23 +193,25 @@ export function useMarketInsights(datasetId, filters = null) {
     setError(null);
 
     const params = new URLSearchParams();
-    if (filters && Object.keys(filters).some(k => filters[k]?.length > 0)) {
-      params.append('filters', JSON.stringify(filters));
-    }
+    appendFilters(params, filters);
 
     const queryString = params.toString();
     const url = `${API_BASE_URL}/api/datasets/${datasetId}/insights${queryString ? '?' + queryString : ''}`;
 
-    axios.get(url)
+    const controller = new AbortController();
+    axios.get(url, { signal: controller.signal })
       .then(response => {
         setData(response.data);
         setLoading(false);
       })
       .catch(err => {
+        if (axios.isCancel(err)) return;
         console.error('Failed to load insights:', err);
         setError(err.message);
         setLoading(false);
       });
+
+    return () => controller.abort();
   }, [datasetId, JSON.stringify(filters)]);
 
   return { data, loading, error };
@@ -142,9 +223,11 @@ export function useMarketInsights(datasetId, filters = null) {
  * @param {number} limit - Number of agents to fetch (default 100)
  * @param {Object} filters - Optional filters
  * @param {string} search - Optional search query for agent name or reg number
+ * @param {string} period - Optional ranking period ("2024", "2024-Q2", "2024-05", "2024-01..2024-06" or "last-3-months"),
+ *   compared against the period of the same length just before it
  * @returns {Object} { data, loading, error }
  */
-export function useTopAgents(datasetId, limit = 100, filters = null, search = null) {
+export function useTopAgents(datasetId, limit = 100, filters = null, search = null, period = null) {
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -160,26 +243,166 @@ export function useTopAgents(datasetId, limit = 100, filters = null, search = nu
     setError(null);
 
     const params = new URLSearchParams({ limit: limit.toString() });
-    if (filters && Object.keys(filters).some(k => filters[k]?.length > 0)) {
-      params.append('filters', JSON.stringify(filters));
-    }
+    appendFilters(params, filters);
     if (search && search.trim()) {
       params.append('search', search.trim());
     }
+    if (period) params.append('period', period);
 
     const url = `${API_BASE_URL}/api/datasets/${datasetId}/agents/top?${params}`;
 
-    axios.get(url)
+    const controller = new AbortController();
+    axios.get(url, { signal: controller.signal })
       .then(response => {
         setData(response.data);
         setLoading(false);
       })
       .catch(err => {
+        if (axios.isCancel(err)) return;
         console.error('Failed to load top agents:', err);
         setError(err.message);
         setLoading(false);
       });
-  }, [datasetId, limit, JSON.stringify(filters), search]);
+
+    return () => controller.abort();
+  }, [datasetId, limit, JSON.stringify(filters), search, period]);
+
+  return { data, loading, error };
+}
+
+/**
+ * Hook for market concentration metrics over time
+ * @param {string} datasetId - Dataset ID
+ * @param {string} period - "month" or "year"
+ * @param {Object} filters - Optional filters
+ * @returns {Object} { data, loading, error }
+ */
+export function useAgentConcentration(datasetId, period = 'month', filters = null) {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!datasetId) {
+      setData(null);
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    const params = new URLSearchParams({ period });
+    appendFilters(params, filters);
+
+    const url = `${API_BASE_URL}/api/datasets/${datasetId}/agents/concentration?${params}`;
+
+    const controller = new AbortController();
+    axios.get(url, { signal: controller.signal })
+      .then(response => {
+        setData(response.data);
+        setLoading(false);
+      })
+      .catch(err => {
+        if (axios.isCancel(err)) return;
+        console.error('Failed to load market concentration:', err);
+        setError(err.message);
+        setLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [datasetId, period, JSON.stringify(filters)]);
+
+  return { data, loading, error };
+}
+
+/**
+ * Hook for agent entry, exit and cohort retention analytics
+ * @param {string} datasetId - Dataset ID
+ * @param {Object} filters - Optional filters
+ * @returns {Object} { data, loading, error }
+ */
+export function useAgentCohorts(datasetId, filters = null) {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!datasetId) {
+      setData(null);
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    const params = new URLSearchParams();
+    appendFilters(params, filters);
+
+    const url = `${API_BASE_URL}/api/datasets/${datasetId}/agents/cohorts?${params}`;
+
+    const controller = new AbortController();
+    axios.get(url, { signal: controller.signal })
+      .then(response => {
+        setData(response.data);
+        setLoading(false);
+      })
+      .catch(err => {
+        if (axios.isCancel(err)) return;
+        console.error('Failed to load agent cohorts:', err);
+        setError(err.message);
+        setLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [datasetId, JSON.stringify(filters)]);
+
+  return { data, loading, error };
+}
+
+/**
+ * Hook for comparing a few agents side by side
+ * @param {string} datasetId - Dataset ID
+ * @param {Array<string>} regNums - Registration numbers of the 2-5 agents to compare
+ * @param {Object} filters - Optional filters
+ * @returns {Object} { data, loading, error }
+ */
+export function useAgentComparison(datasetId, regNums, filters = null) {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!datasetId || !regNums || regNums.length === 0) {
+      setData(null);
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    const params = new URLSearchParams({ regNums: regNums.join(',') });
+    appendFilters(params, filters);
+
+    const url = `${API_BASE_URL}/api/datasets/${datasetId}/agents/compare?${params}`;
+
+    const controller = new AbortController();
+    axios.get(url, { signal: controller.signal })
+      .then(response => {
+        setData(response.data);
+        setLoading(false);
+      })
+      .catch(err => {
+        if (axios.isCancel(err)) return;
+        console.error('Failed to compare agents:', err);
+        setError(err.message);
+        setLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [datasetId, regNums?.join(','), JSON.stringify(filters)]);
 
   return { data, loading, error };
 }
@@ -207,17 +430,111 @@ export function useAgentProfile(datasetId, regNum) {
 
     const url = `${API_BASE_URL}/api/datasets/${datasetId}/agents/${regNum}`;
 
-    axios.get(url)
+    const controller = new AbortController();
+    axios.get(url, { signal: controller.signal })
       .then(response => {
         setData(response.data);
         setLoading(false);
       })
       .catch(err => {
+        if (axios.isCancel(err)) return;
         console.error('Failed to load agent profile:', err);
         setError(err.message);
         setLoading(false);
       });
+
+    return () => controller.abort();
   }, [datasetId, regNum]);
 
   return { data, loading, error };
 }
+
+/**
+ * Hook for typed autocomplete over agents, towns and districts
+ * Runs once per query, so a superseded request is aborted and results never belong to older text.
+ * @param {string} datasetId - Dataset ID
+ * @param {string} query - Search text (debounce before passing in)
+ * @param {number} limit - Maximum number of results
+ * @returns {Object} { data, loading, error }
+ */
+export function useSearch(datasetId, query, limit = 8) {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setData(null);
+    setError(null);
+
+    if (!datasetId || !query || !query.trim()) {
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+
+    const controller = new AbortController();
+    const params = new URLSearchParams({ q: query.trim(), limit: limit.toString() });
+    const url = `${API_BASE_URL}/api/datasets/${datasetId}/search?${params}`;
+
+    axios.get(url, { signal: controller.signal })
+      .then(response => {
+        setData(response.data);
+        setLoading(false);
+      })
+      .catch(err => {
+        if (axios.isCancel(err)) return;
+        setError(err.message);
+        setLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [datasetId, query, limit]);
+
+  return { data, loading, error };
+}
+
+/**
+ * Hook for fetching filter options with counts under the current filters
+ * @param {string} datasetId - Dataset ID
+ * @param {Object} filters - Optional filters
+ * @returns {Object} { data, loading, error }
+ */
+export function useFacets(datasetId, filters = null) {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!datasetId) {
+      setData(null);
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    const params = new URLSearchParams();
+    appendFilters(params, filters);
+
+    const url = `${API_BASE_URL}/api/datasets/${datasetId}/facets?${params}`;
+
+    const controller = new AbortController();
+    axios.get(url, { signal: controller.signal })
+      .then(response => {
+        setData(response.data);
+        setLoading(false);
+      })
+      .catch(err => {
+        if (axios.isCancel(err)) return;
+        console.error('Failed to load facets:', err);
+        setError(err.message);
+        setLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [datasetId, JSON.stringify(filters)]);
+
+  return { data, loading, error };
+}
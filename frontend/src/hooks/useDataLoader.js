@@ -34,22 +34,12 @@ export function useDataLoader(datasetId) {
     // Load metadata first
     const metadataUrl = `${API_BASE_URL}/api/datasets/${datasetId}`;
 
+    // Rows are paged from the data endpoint by the views that show them
     axios.get(metadataUrl)
       .then(response => {
-        const metadata = response.data;
-
-        // For now, load first page of data (we can add pagination later)
-        return axios.get(`${API_BASE_URL}/api/datasets/${datasetId}/data?page=1&limit=10000`)
-          .then(dataResponse => {
-            const fullDataset = {
-              ...metadata,
-              data: dataResponse.data.data,
-              pagination: dataResponse.data.pagination
-            };
-            cache.set(datasetId, fullDataset);
-            setData(fullDataset);
-            setLoading(false);
-          });
+        cache.set(datasetId, response.data);
+        setData(response.data);
+        setLoading(false);
       })
       .catch(err => {
         console.error(`Failed to load dataset ${datasetId}:`, err);
@@ -0,0 +1,85 @@
+import { useCallback, useMemo } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { activeFilters } from '../utils/filters';
+
+// Operators whose value is a list rather than a single value (`contains` takes either)
+const LIST_OPERATORS = ['in', 'not_in', 'contains'];
+
+// Operators whose value is a boolean; the URL carries it as "true"/"false"
+const BOOLEAN_OPERATORS = ['is_null'];
+
+function decodeOperand(op, values) {
+  if (LIST_OPERATORS.includes(op)) return values;
+  if (BOOLEAN_OPERATORS.includes(op) && (values[0] === 'true' || values[0] === 'false')) {
+    return values[0] === 'true';
+  }
+  return values[0];
+}
+
+/**
+ * Encode a filters object as URL search params.
+ * Plain lists become repeated keys (property_type=HDB&property_type=CONDOMINIUM_APARTMENTS),
+ * operator objects become dotted keys (transaction_date.from=2020-01).
+ * @param {Object} filters - Filters object as sent to the API
+ * @returns {URLSearchParams}
+ */
+export function filtersToSearchParams(filters) {
+  const params = new URLSearchParams();
+
+  Object.entries(activeFilters(filters)).forEach(([column, value]) => {
+    if (Array.isArray(value)) {
+      value.forEach(v => params.append(column, v));
+    } else if (value !== null && typeof value === 'object') {
+      Object.entries(value).forEach(([op, operand]) => {
+        [].concat(operand).forEach(v => params.append(`${column}.${op}`, v));
+      });
+    } else {
+      params.append(column, value);
+    }
+  });
+
+  return params;
+}
+
+/**
+ * Decode URL search params produced by filtersToSearchParams
+ * @param {URLSearchParams} params
+ * @returns {Object} Filters object
+ */
+export function searchParamsToFilters(params) {
+  const filters = {};
+
+  for (const key of new Set(params.keys())) {
+    const values = params.getAll(key);
+    const dot = key.lastIndexOf('.');
+
+    if (dot === -1) {
+      filters[key] = values;
+      continue;
+    }
+
+    const column = key.slice(0, dot);
+    const op = key.slice(dot + 1);
+    filters[column] = {
+      ...(filters[column] || {}),
+      [op]: decodeOperand(op, values)
+    };
+  }
+
+  return filters;
+}
+
+/**
+ * Filters backed by the URL query string, so views can be bookmarked and shared
+ * @returns {Array} [filters, setFilters]
+ */
+export function useUrlFilters() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = useMemo(() => searchParamsToFilters(searchParams), [searchParams]);
+
+  const setFilters = useCallback((next) => {
+    setSearchParams(filtersToSearchParams(next));
+  }, [setSearchParams]);
+
+  return [filters, setFilters];
+}
@@ -0,0 +1,60 @@
+/**
+ * Check whether a single filter value narrows the data
+ * Lists count when non-empty, operator objects when any operator has a value.
+ * @param {*} value - Filter value, e.g. ['HDB'] or { from: '2022-01' }
+ * @returns {boolean}
+ */
+export function isActiveFilter(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  if (value !== null && typeof value === 'object') {
+    return Object.values(value).some(isActiveFilter);
+  }
+  return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Drop empty filters so requests and URLs only carry what narrows the data
+ * @param {Object} filters - Filters object
+ * @returns {Object} Filters with inactive entries (and empty operators) removed
+ */
+export function activeFilters(filters) {
+  const active = {};
+
+  Object.entries(filters || {}).forEach(([column, value]) => {
+    if (!isActiveFilter(value)) return;
+
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      active[column] = Object.fromEntries(
+        Object.entries(value).filter(([, operand]) => isActiveFilter(operand))
+      );
+    } else {
+      active[column] = value;
+    }
+  });
+
+  return active;
+}
+
+/**
+ * Append the filters query parameter when any filter is active
+ * @param {URLSearchParams} params - Request params to extend
+ * @param {Object} filters - Filters object
+ */
+export function appendFilters(params, filters) {
+  const active = activeFilters(filters);
+  if (Object.keys(active).length > 0) {
+    params.append('filters', JSON.stringify(active));
+  }
+}
+
+/**
+ * Values a multi-select can show for a filter
+ * A plain list passes through and `{ in: [...] }` gives its list; any other shape selects nothing.
+ * @param {*} value - Filter value, e.g. ['HDB'], { in: ['HDB'] } or { not_in: ['-'] }
+ * @returns {Array} Selected values
+ */
+export function selectedValues(value) {
+  if (Array.isArray(value)) return value;
+  if (value !== null && typeof value === 'object' && Array.isArray(value.in)) return value.in;
+  return [];
+}
@@ -0,0 +1,20 @@
+// Values whose display form can't be derived by title-casing
+const LABEL_OVERRIDES = {
+  CONDOMINIUM_APARTMENTS: 'Condominium/Apartments',
+  HDB: 'HDB'
+};
+
+/**
+ * Format a raw category value from the CEA feed for display
+ * @param {string} value - Raw value, e.g. "WHOLE RENTAL" or "STRATA_LANDED"
+ * @returns {string} Display label, e.g. "Whole Rental" or "Strata Landed"
+ */
+export function formatCategory(value) {
+  if (value === null || value === undefined) return 'Unknown';
+  if (LABEL_OVERRIDES[value]) return LABEL_OVERRIDES[value];
+
+  return String(value)
+    .replace(/_/g, ' ')
+    .toLowerCase()
+    .replace(/(^|[\s-])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase());
+}
@@ -0,0 +1,12 @@
+import { format, parse } from 'date-fns';
+
+/**
+ * Format a "YYYY-MM" period from the API for display
+ * @param {string} period - Period key, e.g. "2023-04"
+ * @returns {string} Display label, e.g. "Apr 2023" (or the input when it is not a month)
+ */
+export function formatPeriod(period) {
+  if (!period) return 'Unknown';
+  if (!/^\d{4}-\d{2}$/.test(period)) return period;
+  return format(parse(period, 'yyyy-MM', new Date()), 'MMM yyyy');
+}